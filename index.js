@@ -1,4 +1,5 @@
 import SiteLoader from './src/site-loader.class.js';
+import RateLimitStore from './src/rate-limit-store.class.js';
 
 export default SiteLoader;
-export { SiteLoader };
\ No newline at end of file
+export { SiteLoader, RateLimitStore };
@@ -0,0 +1,130 @@
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+
+/**
+ * @function safeEqual
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ * @description Compares two strings in constant time.
+ */
+const safeEqual = (a, b) => {
+  const hashA = createHash('sha256').update(`${a}`).digest();
+  const hashB = createHash('sha256').update(`${b}`).digest();
+  return timingSafeEqual(hashA, hashB);
+};
+
+/**
+ * @function readHtpasswd
+ * @param {string} path The absolute path to the file
+ * @returns {object} { [username]: password }
+ * @description Reads an htpasswd-style file with one "username:password" per
+ * line. Passwords are plain text or "{SHA}" hashes (htpasswd -s). Blank lines
+ * and lines beginning with "#" are ignored.
+ */
+const readHtpasswd = path => {
+  if (!existsSync(path)) return {};
+  return readFileSync(path, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && line.charAt(0) != '#' && line.includes(':'))
+    .reduce((users, line) => {
+      const index = line.indexOf(':');
+      users[line.substring(0, index)] = line.substring(index + 1);
+      return users;
+    }, {});
+};
+
+/**
+ * @function verifyPassword
+ * @param {string} stored The stored password, plain text or a "{SHA}" hash
+ * @param {string} password The given password
+ * @returns {boolean}
+ */
+const verifyPassword = (stored, password) => {
+  if (stored.startsWith('{SHA}')) {
+    return safeEqual(stored, `{SHA}${createHash('sha1').update(password).digest('base64')}`);
+  }
+  return safeEqual(stored, password);
+};
+
+/**
+ * @function parseCookies
+ * @param {string} header The "Cookie" request header
+ * @returns {object}
+ */
+const parseCookies = (header = '') => {
+  return header.split(';').reduce((cookies, pair) => {
+    const index = pair.indexOf('=');
+    if (index == -1) return cookies;
+    const name = pair.substring(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.substring(index + 1).trim());
+    } catch {
+      cookies[name] = pair.substring(index + 1).trim();
+    }
+    return cookies;
+  }, {});
+};
+
+/**
+ * @function sign
+ * @param {string} value The value to sign
+ * @param {string} secret The signing secret
+ * @returns {string} "{value}.{signature}"
+ */
+const sign = (value, secret) => {
+  return `${value}.${createHmac('sha256', secret).update(value).digest('base64url')}`;
+};
+
+/**
+ * @function unsign
+ * @param {string} signed The signed value
+ * @param {string} secret The signing secret
+ * @returns {string|null} The value, or null if the signature is not valid
+ */
+const unsign = (signed = '', secret) => {
+  const value = signed.substring(0, signed.lastIndexOf('.'));
+  return value && safeEqual(sign(value, secret), signed) ? value : null;
+};
+
+/**
+ * @function loginPage
+ * @param {object} options
+ * @param {string} options.action The login form's action
+ * @param {string} options.redirect The path to redirect to after logging in
+ * @param {boolean} options.hasError Whether the previous login failed
+ * @returns {string}
+ * @description Returns a minimal login page.
+ */
+const loginPage = ({ action, redirect, hasError }) => {
+  const escape = value => `${value}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head><meta charset="UTF-8"><meta name="robots" content="noindex"><title>Log In</title></head>',
+    '<body>',
+    hasError ? '<p>The username or password is not correct.</p>' : '',
+    `<form method="POST" action="${escape(action)}">`,
+    `<input type="hidden" name="redirect" value="${escape(redirect)}">`,
+    '<label>Username <input name="username" autocomplete="username"></label>',
+    '<label>Password <input name="password" type="password" autocomplete="current-password"></label>',
+    '<button type="submit">Log In</button>',
+    '</form>',
+    '</body>',
+    '</html>'
+  ].join('');
+};
+
+export {
+  readHtpasswd,
+  verifyPassword,
+  parseCookies,
+  sign,
+  unsign,
+  loginPage
+}
@@ -0,0 +1,79 @@
+/**
+ * @class AcmeChallenges
+ * @description Stores the key authorizations of pending ACME HTTP-01
+ * challenges for one site, so the site can answer
+ * "/.well-known/acme-challenge/{token}" without a file being written to its
+ * public directory. The store defaults to memory and may be any object with
+ * Map-like "get", "set", and "delete" methods, sync or async (e.g., a Redis
+ * client wrapper shared by several servers). Keys are scoped by domain, so one
+ * store can be shared by every site.
+ */
+class AcmeChallenges {
+
+  #domain;
+  #store;
+
+  constructor({ domain, store = null }) {
+    this.#domain = domain;
+    this.#store = store || new Map();
+  }
+
+  /**
+   * @function set
+   * @param {string} token The challenge token
+   * @param {string} keyAuthorization The key authorization to respond with
+   * @returns {Promise<void>}
+   */
+  async set(token, keyAuthorization) {
+    this.#validateToken(token);
+    if (typeof keyAuthorization != 'string' || !keyAuthorization) {
+      throw new Error('The key authorization must be a string.');
+    }
+    await this.#store.set(this.#key(token), keyAuthorization);
+  }
+
+  /**
+   * @function get
+   * @param {string} token The challenge token
+   * @returns {Promise<string|null>} The key authorization, or null if the
+   * challenge is not pending
+   */
+  async get(token) {
+    if (!/^[\w-]+$/.test(token)) return null;
+    return (await this.#store.get(this.#key(token))) ?? null;
+  }
+
+  /**
+   * @function remove
+   * @param {string} token The challenge token
+   * @returns {Promise<void>}
+   */
+  async remove(token) {
+    this.#validateToken(token);
+    await this.#store.delete(this.#key(token));
+  }
+
+  /**
+   * @function #key
+   * @param {string} token The challenge token
+   * @returns {string}
+   */
+  #key(token) {
+    return `${this.#domain}/${token}`;
+  }
+
+  /**
+   * @function #validateToken
+   * @param {string} token The challenge token
+   * @returns {void}
+   * @description Tokens are base64url (RFC 8555, section 8.3).
+   */
+  #validateToken(token) {
+    if (typeof token != 'string' || !/^[\w-]+$/.test(token)) {
+      throw new Error(`ACME challenge token "${token}" must be base64url.`);
+    }
+  }
+
+}
+
+export default AcmeChallenges;
@@ -0,0 +1,71 @@
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+
+const DEFAULT_POLICIES = {
+  '*.[hash].*': IMMUTABLE,
+  '*-[hash].*': IMMUTABLE,
+  '/static/**': 'public, max-age=300, must-revalidate',
+  '/index.html': 'no-cache'
+};
+
+const HASH_PATTERN = '(?=[\\w-]*[0-9A-Z])[\\w-]{8,}';
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @function compilePattern
+ * @param {string} pattern The path pattern
+ * @returns {RegExp}
+ * @description Compiles a path pattern, where "*" matches within one path
+ * segment, "**" matches any number of segments, and "[hash]" matches a content
+ * hash (8 or more letters, digits, "-", or "_", with at least one digit or
+ * uppercase letter, so words such as "component" are not mistaken for one).
+ * Patterns without a "/" match the file name in any directory.
+ */
+const compilePattern = pattern => {
+  const source = pattern
+    .split(/(\*\*\/?|\*|\[hash\])/)
+    .map(part => {
+      if (part == '**/') return '(?:.*/)?';
+      if (part == '**') return '.*';
+      if (part == '*') return '[^/]*';
+      if (part == '[hash]') return HASH_PATTERN;
+      return escapeRegExp(part);
+    })
+    .join('');
+  return pattern.includes('/')
+    ? new RegExp(`^${source}$`)
+    : new RegExp(`(?:^|/)${source}$`);
+};
+
+/**
+ * @function compileCachePolicies
+ * @param {boolean|object} cache The "cache" option
+ * @returns {object[]|null} [{ regExp, policy }], or null to send "no-store"
+ * for everything
+ * @description Compiles the given policies, which take precedence, followed by
+ * the default policies. "true" uses only the default policies.
+ */
+const compileCachePolicies = cache => {
+  if (!cache) return null;
+  const custom = cache === true ? {} : cache;
+  return Object.entries({ ...custom, ...DEFAULT_POLICIES, ...custom })
+    .map(([ pattern, policy ]) => ({ regExp: compilePattern(pattern), policy }));
+};
+
+/**
+ * @function cachePolicy
+ * @param {object[]|null} policies The compiled policies
+ * @param {string} path The resource path relative to the site (e.g.,
+ * "/static/app.3f9a2c1b.js" or "/index.html")
+ * @returns {string|null} The Cache-Control header value, if any
+ */
+const cachePolicy = (policies, path) => {
+  if (!policies) return 'no-store';
+  return policies.find(({ regExp }) => regExp.test(path))?.policy || null;
+};
+
+export {
+  DEFAULT_POLICIES,
+  compileCachePolicies,
+  cachePolicy
+}
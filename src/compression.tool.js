@@ -0,0 +1,64 @@
+import { brotliCompress, gzip, constants } from 'zlib';
+import { promisify } from 'util';
+
+const brotliCompressAsync = promisify(brotliCompress);
+const gzipAsync = promisify(gzip);
+
+const EXTENSIONS = {
+  br: '.br',
+  gzip: '.gz'
+};
+
+/**
+ * @function isCompressible
+ * @param {string} type The content type
+ * @returns {boolean}
+ * @description Whether content of the type benefits from compression (text,
+ * scripts, JSON, XML, SVG, etc., but not images, video, or archives).
+ */
+const isCompressible = (type = '') => {
+  return /^text\/|[/+](javascript|json|xml|wasm)\b|^image\/(svg\+xml|x-icon|vnd\.microsoft\.icon)|^application\/manifest\+json|font\/(ttf|otf)/i
+    .test(type);
+};
+
+/**
+ * @function negotiateEncoding
+ * @param {object} req The Express request
+ * @param {string[]} encodings The available encodings, in order of preference
+ * @returns {string|null} The encoding to use, or null for no encoding
+ * @description Chooses an encoding from the available encodings the client
+ * accepts, by the client's preference and then the server's.
+ */
+const negotiateEncoding = (req, encodings) => {
+  if (!encodings.length) return null;
+  const encoding = req.acceptsEncodings(...encodings, 'identity');
+  return encodings.includes(encoding) ? encoding : null;
+};
+
+/**
+ * @function compress
+ * @param {Buffer|string} body The body to compress
+ * @param {string} encoding "br" or "gzip"
+ * @returns {Promise<Buffer>}
+ * @description Compresses the body off the request thread, at a moderate
+ * quality suited to compressing when sent. The best compression belongs in
+ * the build step that creates the precompressed siblings.
+ */
+const compress = (body, encoding) => {
+  if (encoding == 'br') {
+    return brotliCompressAsync(body, {
+      params: {
+        [constants.BROTLI_PARAM_QUALITY]: 5,
+        [constants.BROTLI_PARAM_SIZE_HINT]: Buffer.byteLength(body)
+      }
+    });
+  }
+  return gzipAsync(body, { level: constants.Z_DEFAULT_COMPRESSION });
+};
+
+export {
+  EXTENSIONS,
+  isCompressible,
+  negotiateEncoding,
+  compress
+}
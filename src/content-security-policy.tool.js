@@ -0,0 +1,45 @@
+import { randomBytes } from 'crypto';
+
+const DEFAULT_DIRECTIVES = {
+  'default-src': [ "'self'" ],
+  'base-uri': [ "'self'" ],
+  'object-src': [ "'none'" ],
+  'script-src': [ "'self'" ],
+  'style-src': [ "'self'" ]
+};
+
+/**
+ * @function createNonce
+ * @returns {string} A base64 nonce from 16 cryptographically random bytes
+ */
+const createNonce = () => randomBytes(16).toString('base64');
+
+/**
+ * @function buildPolicy
+ * @param {object} directives { [directive]: string, string[], or true }
+ * @param {string} nonce The request's nonce
+ * @returns {string} The Content-Security-Policy header value
+ * @description Serializes the directives, adding the nonce to "script-src" and
+ * "style-src". If either is missing, then it is created from "default-src",
+ * so adding the nonce does not loosen or tighten the fallback. Directives set
+ * to true (e.g., "upgrade-insecure-requests") have no value, and directives
+ * set to false, null, or undefined are omitted.
+ */
+const buildPolicy = (directives, nonce) => {
+  const toList = value => [ value ].flat().filter(source => typeof source == 'string');
+  const policy = { ...directives };
+  [ 'script-src', 'style-src' ].forEach(name => {
+    const sources = toList(policy[name] ?? policy['default-src'] ?? []);
+    policy[name] = [ ...sources.filter(source => source != "'none'"), `'nonce-${nonce}'` ];
+  });
+  return Object.entries(policy)
+    .filter(([ , value ]) => value !== false && value !== null && value !== undefined)
+    .map(([ name, value ]) => value === true ? name : [ name, ...toList(value) ].join(' '))
+    .join('; ');
+};
+
+export {
+  DEFAULT_DIRECTIVES,
+  createNonce,
+  buildPolicy
+}
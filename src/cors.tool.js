@@ -0,0 +1,57 @@
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @function compileOrigins
+ * @param {string|RegExp|(string|RegExp)[]} origins The allowed origins. "*"
+ * allows any origin, and "*" in an origin matches within the hostname (e.g.,
+ * "https://*.example.com").
+ * @returns {function} Called with an origin, returning whether it is allowed
+ */
+const compileOrigins = origins => {
+  const patterns = [ origins ].flat().map(origin => {
+    if (origin instanceof RegExp) return origin;
+    if (origin == '*') return /^/;
+    return new RegExp(`^${origin.split('*').map(escapeRegExp).join('[^/]*')}$`, 'i');
+  });
+  return origin => patterns.some(pattern => pattern.test(origin));
+};
+
+/**
+ * @function setCorsHeaders
+ * @param {object} req The Express request
+ * @param {object} res The Express response
+ * @param {object} policy The compiled CORS policy
+ * @param {string[]} methods The methods allowed by a preflight
+ * @returns {boolean} Whether the request's origin is allowed
+ * @description Sets the CORS headers for an actual request or, if methods are
+ * given, a preflight request. "Access-Control-Allow-Origin" is "*" only when
+ * any origin is allowed without credentials, and otherwise the request's
+ * origin, so responses vary by "Origin".
+ */
+const setCorsHeaders = (req, res, policy, methods = null) => {
+  const origin = req.get('origin');
+  const isAnyOrigin = policy.origins == '*' && !policy.credentials;
+  if (!isAnyOrigin) res.vary('Origin');
+  if (!origin || !policy.isAllowed(origin)) return false;
+  res.set('Access-Control-Allow-Origin', isAnyOrigin ? '*' : origin);
+  if (policy.credentials) res.set('Access-Control-Allow-Credentials', 'true');
+  if (methods) {
+    const requestHeaders = req.get('access-control-request-headers');
+    res.set('Access-Control-Allow-Methods', methods.join(', '));
+    if (policy.headers) {
+      res.set('Access-Control-Allow-Headers', policy.headers.join(', '));
+    } else if (requestHeaders) {
+      res.vary('Access-Control-Request-Headers');
+      res.set('Access-Control-Allow-Headers', requestHeaders);
+    }
+    if (policy.maxAge !== null) res.set('Access-Control-Max-Age', `${policy.maxAge}`);
+  } else if (policy.exposedHeaders.length) {
+    res.set('Access-Control-Expose-Headers', policy.exposedHeaders.join(', '));
+  }
+  return true;
+};
+
+export {
+  compileOrigins,
+  setCorsHeaders
+}
@@ -0,0 +1,141 @@
+const escapeHtml = value => `${value}`
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @function insertIntoHead
+ * @param {string} html The HTML document
+ * @param {string} markup The markup to insert
+ * @returns {string}
+ * @description Inserts the markup at the end of the head element, or at the
+ * beginning of the document if there is no head element.
+ */
+const insertIntoHead = (html, markup) => {
+  const index = html.search(/<\/head\s*>/i);
+  return index == -1
+    ? `${markup}${html}`
+    : `${html.substring(0, index)}${markup}${html.substring(index)}`;
+};
+
+/**
+ * @function serializeData
+ * @param {object} data The data to serialize
+ * @returns {string}
+ * @description Serializes the data as JSON that is safe to embed in a script
+ * element (i.e., it cannot close the element or start a comment).
+ */
+const serializeData = data => JSON.stringify(data)
+  .replace(/</g, '\\u003c')
+  .replace(/>/g, '\\u003e')
+  .replace(/&/g, '\\u0026')
+  .replace(/\u2028/g, '\\u2028')
+  .replace(/\u2029/g, '\\u2029');
+
+/**
+ * @function injectData
+ * @param {string} html The HTML document
+ * @param {object} data The data to inject
+ * @returns {string}
+ * @description Injects the data into the document's head as
+ * "window.__SITE_DATA__".
+ */
+const injectData = (html, data) => {
+  return insertIntoHead(html, `<script>window.__SITE_DATA__ = ${serializeData(data)};</script>`);
+};
+
+/**
+ * @function renderPlaceholders
+ * @param {string} html The HTML document
+ * @param {object} values The placeholder values
+ * @returns {string}
+ * @description Substitutes "{{name}}" placeholders with the HTML-escaped
+ * values of the same name. Placeholders without a string, number, or boolean
+ * value are left as they are.
+ */
+const renderPlaceholders = (html, values) => {
+  return html.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, name) => {
+    const value = values[name];
+    return [ 'string', 'number', 'boolean' ].includes(typeof value)
+      ? escapeHtml(value)
+      : placeholder;
+  });
+};
+
+/**
+ * @function renderMeta
+ * @param {string} html The HTML document
+ * @param {object} meta
+ * @param {string} meta.title The page title
+ * @param {string} meta.description The page description
+ * @param {string} meta.image The Open Graph image URL
+ * @param {string} meta.url The Open Graph URL
+ * @param {string} meta.type The Open Graph type
+ * @param {string} meta.canonical The canonical URL
+ * @returns {string}
+ * @description Sets the document's title, description, Open Graph, and
+ * canonical tags, replacing the existing tags of the same name.
+ */
+const renderMeta = (html, {
+  title,
+  description,
+  image,
+  url,
+  type,
+  canonical
+} = {}) => {
+  const tags = [];
+  const setMeta = (attribute, name, content) => {
+    if (content === undefined || content === null) return;
+    html = html.replace(new RegExp(
+      `<meta\\b[^>]*\\b${attribute}\\s*=\\s*["']${escapeRegExp(name)}["'][^>]*>\\s*`,
+      'gi'
+    ), '');
+    tags.push(`<meta ${attribute}="${name}" content="${escapeHtml(content)}">`);
+  };
+  if (title !== undefined && title !== null) {
+    const titleTag = `<title>${escapeHtml(title)}</title>`;
+    if (/<title\b[^>]*>[\s\S]*?<\/title\s*>/i.test(html)) {
+      html = html.replace(/<title\b[^>]*>[\s\S]*?<\/title\s*>/i, () => titleTag);
+    } else {
+      tags.push(titleTag);
+    }
+  }
+  setMeta('name', 'description', description);
+  setMeta('property', 'og:title', title);
+  setMeta('property', 'og:description', description);
+  setMeta('property', 'og:image', image);
+  setMeta('property', 'og:url', url || canonical);
+  setMeta('property', 'og:type', type);
+  if (canonical) {
+    html = html.replace(/<link\b[^>]*\brel\s*=\s*["']canonical["'][^>]*>\s*/gi, '');
+    tags.push(`<link rel="canonical" href="${escapeHtml(canonical)}">`);
+  }
+  return tags.length ? insertIntoHead(html, tags.join('')) : html;
+};
+
+/**
+ * @function injectNonce
+ * @param {string} html The HTML document
+ * @param {string} nonce The Content-Security-Policy nonce
+ * @returns {string}
+ * @description Sets the nonce attribute of every script and style element,
+ * replacing any existing nonce.
+ */
+const injectNonce = (html, nonce) => {
+  return html.replace(/<(script|style)\b((?:"[^"]*"|'[^']*'|[^'">])*)>/gi, (tag, element, attributes) => {
+    attributes = attributes.replace(/\snonce\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+)/gi, '');
+    return `<${element} nonce="${escapeHtml(nonce)}"${attributes}>`;
+  });
+};
+
+export {
+  injectData,
+  injectNonce,
+  renderPlaceholders,
+  renderMeta
+}
@@ -0,0 +1,87 @@
+const BUCKETS = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ];
+
+const LABEL_NAMES = [ 'domain', 'stage', 'status_class', 'route' ];
+
+const escapeLabel = value => `${value}`
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+/**
+ * @class MetricsRegistry
+ * @description Counts requests and records their durations by domain, stage,
+ * status class, and endpoint route, and renders them in the Prometheus text
+ * exposition format. Labels are limited to values known when the sites are
+ * loaded (e.g., the endpoint's declared path rather than the request URL), so
+ * the number of series stays bounded.
+ */
+class MetricsRegistry {
+
+  #series = new Map();
+
+  /**
+   * @function observe
+   * @param {object} labels
+   * @param {string} labels.domain The site's domain
+   * @param {string} labels.stage The stage that responded (e.g., "static")
+   * @param {number} labels.status The response status
+   * @param {string} labels.route The endpoint's declared path, if any
+   * @param {number} seconds The request duration
+   * @returns {void}
+   */
+  observe({ domain, stage, status, route = '' }, seconds) {
+    const labels = [ domain, stage, `${Math.floor(status / 100)}xx`, route || '' ];
+    const key = labels.join('\n');
+    let series = this.#series.get(key);
+    if (!series) {
+      series = { labels, buckets: BUCKETS.map(() => 0), sum: 0, count: 0 };
+      this.#series.set(key, series);
+    }
+    BUCKETS.forEach((le, i) => {
+      if (seconds <= le) series.buckets[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  /**
+   * @function render
+   * @returns {string}
+   * @description Renders the request counter and duration histogram in the
+   * Prometheus text exposition format (version 0.0.4).
+   */
+  render() {
+    const series = [ ...this.#series.values() ];
+    const format = (labels, extra = '') => {
+      const pairs = LABEL_NAMES.map((name, i) => `${name}="${escapeLabel(labels[i])}"`);
+      return `{${[ ...pairs, ...(extra ? [ extra ] : []) ].join(',')}}`;
+    };
+    return [
+      '# HELP site_loader_requests_total Requests handled by each site.',
+      '# TYPE site_loader_requests_total counter',
+      ...series.map(({ labels, count }) => `site_loader_requests_total${format(labels)} ${count}`),
+      '# HELP site_loader_request_duration_seconds Request durations by site.',
+      '# TYPE site_loader_request_duration_seconds histogram',
+      ...series.flatMap(({ labels, buckets, sum, count }) => [
+        ...BUCKETS.map((le, i) => {
+          return `site_loader_request_duration_seconds_bucket${format(labels, `le="${le}"`)} ${buckets[i]}`;
+        }),
+        `site_loader_request_duration_seconds_bucket${format(labels, 'le="+Inf"')} ${count}`,
+        `site_loader_request_duration_seconds_sum${format(labels)} ${sum}`,
+        `site_loader_request_duration_seconds_count${format(labels)} ${count}`
+      ])
+    ].join('\n') + '\n';
+  }
+
+  /**
+   * @function reset
+   * @returns {void}
+   * @description Clears all recorded metrics.
+   */
+  reset() {
+    this.#series.clear();
+  }
+
+}
+
+export default MetricsRegistry;
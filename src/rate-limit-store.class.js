@@ -0,0 +1,50 @@
+/**
+ * @class RateLimitStore
+ * @description Counts requests in fixed windows in memory, the default store
+ * for "rateLimit". A shared store (e.g., a Redis client wrapper used by several
+ * servers) may be used instead if it has the same "increment" method, sync or
+ * async. Expired windows are swept at most once per window, so keys that are
+ * not seen again do not accumulate.
+ */
+class RateLimitStore {
+
+  #windows = new Map();
+  #nextSweep = 0;
+
+  /**
+   * @function increment
+   * @param {string} key The counter key, scoped by domain
+   * @param {number} windowMs The length of the window in milliseconds
+   * @returns {{ count: number, resetTime: number }} The number of requests in
+   * the current window, including this one, and the time the window ends, in
+   * milliseconds since the epoch
+   */
+  increment(key, windowMs) {
+    const now = Date.now();
+    if (now >= this.#nextSweep) {
+      this.#windows.forEach(({ resetTime }, k) => {
+        if (resetTime <= now) this.#windows.delete(k);
+      });
+      this.#nextSweep = now + windowMs;
+    }
+    let window = this.#windows.get(key);
+    if (!window || window.resetTime <= now) {
+      window = { count: 0, resetTime: now + windowMs };
+      this.#windows.set(key, window);
+    }
+    window.count++;
+    return { count: window.count, resetTime: window.resetTime };
+  }
+
+  /**
+   * @function reset
+   * @param {string} key The counter key
+   * @returns {void}
+   */
+  reset(key) {
+    this.#windows.delete(key);
+  }
+
+}
+
+export default RateLimitStore;
@@ -0,0 +1,96 @@
+const REDACTED = '[REDACTED]';
+
+/**
+ * @function createOutput
+ * @param {boolean|function|object} output true or "console" for the console,
+ * a writable stream (e.g., from fs.createWriteStream), or a function
+ * @returns {function} Called with each record
+ * @description Returns a function that writes a record to the output, as one
+ * line of JSON for the console and streams. Errors thrown by the output are
+ * logged with "console.error", so logging never breaks a response.
+ */
+const createOutput = output => {
+  let write;
+  if (typeof output == 'function') {
+    write = output;
+  } else if (output && typeof output.write == 'function') {
+    write = record => output.write(`${JSON.stringify(record)}\n`);
+  } else {
+    write = record => console.log(JSON.stringify(record));
+  }
+  return record => {
+    try {
+      write(record);
+    } catch(error) {
+      console.error(error);
+    }
+  };
+};
+
+/**
+ * @function redactUrl
+ * @param {string} url The request URL (e.g., "/path?token=abc")
+ * @param {string[]} params The query params to redact, in lowercase
+ * @returns {string}
+ */
+const redactUrl = (url, params) => {
+  const index = url.indexOf('?');
+  if (index == -1 || !params.length) return url;
+  const query = url.substring(index + 1).split('&').map(pair => {
+    const name = pair.split('=')[0];
+    let decoded = name;
+    try {
+      decoded = decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch {}
+    return params.includes(decoded.toLowerCase()) ? `${name}=${REDACTED}` : pair;
+  });
+  return `${url.substring(0, index)}?${query.join('&')}`;
+};
+
+/**
+ * @function redactHeaders
+ * @param {object} headers The request headers
+ * @param {string[]} names The headers to redact, in lowercase
+ * @returns {object}
+ */
+const redactHeaders = (headers, names) => {
+  return Object.entries(headers).reduce((redacted, [ name, value ]) => {
+    redacted[name] = names.includes(name.toLowerCase()) ? REDACTED : value;
+    return redacted;
+  }, {});
+};
+
+/**
+ * @function countBytes
+ * @param {object} res The Express response
+ * @returns {function} Returns the number of body bytes written so far
+ * @description Counts the body bytes written to the response, including
+ * streamed responses (e.g., static files) without a Content-Length header.
+ */
+const countBytes = res => {
+  let bytes = 0;
+  const { write, end } = res;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk != 'function') {
+      bytes += Buffer.isBuffer(chunk)
+        ? chunk.length
+        : Buffer.byteLength(chunk, typeof encoding == 'string' ? encoding : 'utf8');
+    }
+  };
+  res.write = function(chunk, encoding, ...args) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...args);
+  };
+  res.end = function(chunk, encoding, ...args) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...args);
+  };
+  return () => bytes;
+};
+
+export {
+  createOutput,
+  redactUrl,
+  redactHeaders,
+  countBytes
+}
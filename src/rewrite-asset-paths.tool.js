@@ -0,0 +1,79 @@
+const TOKEN_REGEXP = new RegExp([
+  '<!--[\\s\\S]*?-->',
+  '<(script|style)\\b((?:"[^"]*"|\'[^\']*\'|[^\'">])*)>([\\s\\S]*?)</\\1\\s*>',
+  '<[a-zA-Z][\\w:-]*(?:"[^"]*"|\'[^\']*\'|[^\'">])*>'
+].join('|'), 'gi');
+
+const ATTRIBUTE_REGEXP = /(\s)(src|href|srcset|imagesrcset|poster|style)(\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/gi;
+
+const CSS_URL_REGEXP = /url\(\s*(['"]?)([^'")]*)\1\s*\)/gi;
+
+const JSON_STRING_REGEXP = /"((?:[^"\\]|\\.)*)"/g;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @function rewriteAssetPaths
+ * @param {string} html The HTML document or fragment
+ * @param {object} options
+ * @param {string} options.domain The site's domain
+ * @param {string[]} options.prefixes The asset path prefixes to rewrite
+ * (e.g., "static" rewrites "/static/app.js" and "static/app.js")
+ * @returns {string}
+ * @description Prefixes asset URLs with "/{domain}" so they load from
+ * http://localhost/{domain}/{prefix} when multiple sites are loaded in
+ * development. Only URL-bearing attributes (src, href, srcset, imagesrcset,
+ * poster), CSS url() in style attributes and style elements, and import maps
+ * are rewritten. Text, class names, comments, and other scripts are left as
+ * they are.
+ */
+const rewriteAssetPaths = (html, { domain, prefixes = [ 'static' ] }) => {
+  const urlRegExp = new RegExp(
+    `^/?(${prefixes.map(prefix => escapeRegExp(prefix.replace(/^\/+|\/+$/g, ''))).join('|')})(?=[/?#]|$)`
+  );
+  const rewriteUrl = url => url.replace(urlRegExp, `/${domain}/$1`);
+  const rewriteCss = css => css.replace(CSS_URL_REGEXP, (match, quote, url) => {
+    return `url(${quote}${rewriteUrl(url)}${quote})`;
+  });
+  const rewriteAttributes = tag => tag.replace(ATTRIBUTE_REGEXP, (
+    match,
+    space,
+    name,
+    equals,
+    doubleQuoted,
+    singleQuoted,
+    unquoted
+  ) => {
+    const value = doubleQuoted ?? singleQuoted ?? unquoted;
+    const lowerName = name.toLowerCase();
+    let rewritten;
+    if (lowerName == 'style') {
+      rewritten = rewriteCss(value);
+    } else if (lowerName == 'srcset' || lowerName == 'imagesrcset') {
+      rewritten = value.replace(/(^|,)(\s*)([^\s,]+)/g, (m, comma, ws, url) => {
+        return `${comma}${ws}${rewriteUrl(url)}`;
+      });
+    } else {
+      rewritten = rewriteUrl(value);
+    }
+    const quote = doubleQuoted !== undefined ? '"' : singleQuoted !== undefined ? "'" : '';
+    return `${space}${name}${equals}${quote}${rewritten}${quote}`;
+  });
+
+  return html.replace(TOKEN_REGEXP, (token, element, attributes, content) => {
+    if (token.startsWith('<!--')) return token;
+    if (!element) return rewriteAttributes(token);
+    const openTag = rewriteAttributes(`<${element}${attributes}>`);
+    const closeTag = token.substring(token.lastIndexOf('</'));
+    if (element.toLowerCase() == 'style') {
+      content = rewriteCss(content);
+    } else if (/\stype\s*=\s*["']?importmap\b/i.test(attributes)) {
+      content = content.replace(JSON_STRING_REGEXP, (match, value) => {
+        return `"${rewriteUrl(value)}"`;
+      });
+    }
+    return `${openTag}${content}${closeTag}`;
+  });
+};
+
+export default rewriteAssetPaths;
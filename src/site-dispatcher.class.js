@@ -0,0 +1,189 @@
+const dispatchers = new WeakMap();
+
+/**
+ * @class SiteDispatcher
+ * @description Matches each request to one loaded site, once, up front, and
+ * hands it to that site's router. One dispatcher is installed per Express app
+ * and shared by all SiteLoader instances loaded onto the app, so the cost of a
+ * request does not grow with the number of sites.
+ */
+class SiteDispatcher {
+
+  #sites = [];
+  #byHostname = new Map();
+  #wildcards = [];
+  #byPathPrefix = new Map();
+  #defaultSite = null;
+
+  /**
+   * @function for
+   * @param {express} app The server's main Express app
+   * @returns {SiteDispatcher}
+   * @description Returns the app's dispatcher, creating it and installing its
+   * handler on the app the first time a site is loaded onto the app.
+   */
+  static for(app) {
+    let dispatcher = dispatchers.get(app);
+    if (!dispatcher) {
+      dispatcher = new SiteDispatcher();
+      dispatchers.set(app, dispatcher);
+      app.use((req, res, next) => dispatcher.#dispatch(req, res, next));
+    }
+    return dispatcher;
+  }
+
+  /**
+   * @function get
+   * @param {express} app The server's main Express app
+   * @returns {SiteDispatcher|null}
+   * @description Returns the app's dispatcher without creating it, or null if
+   * no site has been loaded onto the app.
+   */
+  static get(app) {
+    return dispatchers.get(app) || null;
+  }
+
+  /**
+   * @function sites
+   * @returns {object[]} The registered sites, in the order they were added
+   */
+  get sites() {
+    return [ ...this.#sites ];
+  }
+
+  /**
+   * @function add
+   * @param {object} site
+   * @param {string} site.domain The site's domain
+   * @param {string[]} site.aliases Additional hostnames for the site, which may
+   * begin with a "*." wildcard to match any subdomain
+   * @param {boolean} site.isDefault Whether the site handles requests that do
+   * not match any site (i.e., the site is not loaded as one of multiple sites)
+   * @param {function} site.handle The site's request handler (e.g., its router)
+   * @returns {void}
+   * @description Registers a site with the dispatcher. When more than one site
+   * claims the same hostname or path prefix, the first one added handles it.
+   * Sites can be added while the server is running.
+   */
+  add(site) {
+    this.#sites.push(site);
+    this.#index();
+  }
+
+  /**
+   * @function replace
+   * @param {object} site The registered site
+   * @param {object} nextSite The site to register in its place
+   * @returns {void}
+   * @description Replaces a registered site, keeping its precedence. Requests
+   * already passed to the registered site's handler are not affected.
+   */
+  replace(site, nextSite) {
+    const index = this.#sites.indexOf(site);
+    if (index == -1) {
+      this.#sites.push(nextSite);
+    } else {
+      this.#sites[index] = nextSite;
+    }
+    this.#index();
+  }
+
+  /**
+   * @function remove
+   * @param {object} site The registered site
+   * @returns {void}
+   * @description Unregisters a site, so subsequent requests are not matched to
+   * it.
+   */
+  remove(site) {
+    this.#sites = this.#sites.filter(s => s !== site);
+    this.#index();
+  }
+
+  /**
+   * @function #index
+   * @returns {void}
+   * @description Rebuilds the hostname and path prefix lookups from the
+   * registered sites in the order they were added.
+   */
+  #index() {
+    const byHostname = new Map();
+    const wildcards = [];
+    const byPathPrefix = new Map();
+    this.#sites.forEach(site => {
+      [ site.domain, ...(site.aliases || []) ].forEach(hostname => {
+        hostname = hostname.toLowerCase();
+        if (hostname.startsWith('*.')) {
+          wildcards.push({ suffix: hostname.substring(1), site });
+        } else if (!byHostname.has(hostname)) {
+          byHostname.set(hostname, site);
+        }
+      });
+      if (!byPathPrefix.has(site.domain)) {
+        byPathPrefix.set(site.domain, site);
+      }
+    });
+    this.#byHostname = byHostname;
+    this.#wildcards = wildcards;
+    this.#byPathPrefix = byPathPrefix;
+    this.#defaultSite = this.#sites.find(({ isDefault }) => isDefault) || null;
+  }
+
+  /**
+   * @function match
+   * @param {string} hostname The request hostname
+   * @param {string} path The request path
+   * @returns {object|null} { site, by }
+   * @description Finds the site a request would be dispatched to, without
+   * dispatching it.
+   */
+  match(hostname, path) {
+    return this.#match(hostname, path.split('/').filter(Boolean));
+  }
+
+  /**
+   * @function #match
+   * @param {string} hostname The request hostname
+   * @param {string[]} pathParts The request path split into its segments
+   * @returns {object|null} { site, by }
+   * @description Finds the site for the request by exact hostname (the domain
+   * or an alias), then by wildcard alias, then by the first path segment (for
+   * localhost multi-site development), then falls back to the default site, if
+   * any.
+   */
+  #match(hostname, pathParts) {
+    hostname = (hostname || '').toLowerCase().replace(/\.$/, '');
+    const site = this.#byHostname.get(hostname)
+      || this.#wildcards.find(({ suffix }) => hostname.endsWith(suffix))?.site;
+    if (site) return { site, by: 'hostname' };
+    if (this.#byPathPrefix.has(pathParts[0])) {
+      return { site: this.#byPathPrefix.get(pathParts[0]), by: 'pathPrefix' };
+    }
+    if (this.#defaultSite) return { site: this.#defaultSite, by: 'default' };
+    return null;
+  }
+
+  /**
+   * @function #dispatch
+   * @param {object} req The Express request
+   * @param {object} res The Express response
+   * @param {function} next The Express next function
+   * @returns {void}
+   * @description Adds the request properties used by the site's middleware
+   * and endpoints and passes the request to the matched site only.
+   * "req.siteMatch" is how the site was matched ("hostname", "pathPrefix", or
+   * "default").
+   */
+  #dispatch(req, res, next) {
+    const pathParts = req.path.split('/').filter(Boolean);
+    const match = this.#match(req.hostname, pathParts);
+    if (!match) return next();
+    req.pathParts = pathParts;
+    req.isSite = true;
+    req.siteMatch = match.by;
+    match.site.handle(req, res, next);
+  }
+
+}
+
+export default SiteDispatcher;
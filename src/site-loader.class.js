@@ -1,38 +1,245 @@
 import express from 'express';
-import { join } from 'path';
-import { existsSync, readFileSync } from 'fs';
+import {
+  extname,
+  join,
+  posix,
+  resolve,
+  sep
+} from 'path';
+import { pathToFileURL } from 'url';
+import { METHODS, STATUS_CODES } from 'http';
+import { createHash, randomBytes, X509Certificate } from 'crypto';
+import { createSecureContext } from 'tls';
+import {
+  existsSync,
+  readFileSync,
+  readdirSync,
+  statSync,
+  watch
+} from 'fs';
+import pathToRegexp from 'path-to-regexp';
 import { registerEndpoints, registerMiddleware } from '@sempervirens/endpoint';
 
+import SiteDispatcher from './site-dispatcher.class.js';
+import MetricsRegistry from './metrics-registry.class.js';
+import AcmeChallenges from './acme-challenges.class.js';
+import RateLimitStore from './rate-limit-store.class.js';
+import rewriteAssetPaths from './rewrite-asset-paths.tool.js';
+import {
+  injectData,
+  injectNonce,
+  renderPlaceholders,
+  renderMeta
+} from './index-template.tool.js';
+import {
+  readHtpasswd,
+  verifyPassword,
+  parseCookies,
+  sign,
+  unsign,
+  loginPage
+} from './access.tool.js';
+import {
+  EXTENSIONS,
+  isCompressible,
+  negotiateEncoding,
+  compress
+} from './compression.tool.js';
+import { compileCachePolicies, cachePolicy } from './cache-control.tool.js';
+import {
+  DEFAULT_DIRECTIVES,
+  createNonce,
+  buildPolicy
+} from './content-security-policy.tool.js';
+import {
+  createOutput,
+  redactUrl,
+  redactHeaders,
+  countBytes
+} from './request-logger.tool.js';
+import { compileOrigins, setCorsHeaders } from './cors.tool.js';
+
+const HTTP_METHODS = [ ...METHODS, 'ALL' ];
+
+// The most static files compressed when sent, and their total bytes, cached
+// per site. The oldest are dropped first.
+const COMPRESSED_FILES_MAX = 1000;
+const COMPRESSED_FILES_MAX_BYTES = 64 * 1024 * 1024;
+
+// The options and their defaults. "compression" and "cache" default to
+// "isProd". Any other option name is reported as unknown on load.
+const DEFAULT_OPTIONS = {
+  domain: '',
+  aliases: [],
+  canonicalHost: false,
+  isProd: false,
+  isMultiSite: false,
+  apiBasePath: '/api',
+  sitesDir: 'sites',
+  data: {},
+  endpoints: [],
+  middleware: [],
+  onError: null,
+  assetPrefixes: [],
+  template: false,
+  meta: null,
+  routes: [],
+  sitemap: null,
+  rootResources: [],
+  mimeTypes: {},
+  access: null,
+  redirects: [],
+  compression: false,
+  cache: false,
+  csp: null,
+  logger: null,
+  metrics: true,
+  strict: false,
+  tls: {},
+  acmeStore: null,
+  cors: false,
+  rateLimit: false,
+  rateLimitStore: null
+};
+
 /**
  * @class SiteLoader
  * @description Loads a site into the server's Epress app.
  */
 class SiteLoader {
 
+  static #metricsRegistry = new MetricsRegistry();
+
   #domain;
+  #aliases;
+  #canonicalHost;
   #isProd;
   #isMultiSite;
   #data;
   #endpoints;
   #middleware;
+  #onError;
+  #assetPrefixes;
+  #template;
+  #meta;
+  #routes;
+  #sitemap;
+  #rootResources;
+  #mimeTypes;
+  #access;
+  #redirects;
+  #compression;
+  #cache;
+  #cachePolicies;
+  #csp;
+  #logger;
+  #metrics;
+  #strict;
+  #tls;
+  #acmeStore;
+  #cors;
+  #corsPolicy;
+  #rateLimit;
+  #rateLimitStore;
+  #rateLimitCounters;
+  #options;
 
   #app;
+  #router;
+  #worker = null;
+  #site = null;
+  #literalRoutes;
+  #patternRoutes;
+  #routeLabels;
+  #corsPolicies;
+  #rateLimitPolicies;
   #apiBasePath;
   #sitesDir;
+  #indexCache = null;
+  #sitemapRoutes = null;
+  #watcher = null;
+  #redirectRules = null;
+  #compressedFiles = new Map();
+  #compressedBytes = 0;
+  #maintenance = { enabled: false, retryAfter: 3600, allowIps: [] };
+  #maintenanceFile = { checkedAt: 0, settings: null };
+  #accessSecret = randomBytes(32).toString('hex');
+  #certificate = { checkedAt: 0, mtimes: null, context: null };
 
   publicDir;
+  acme;
 
-  constructor({
-    domain = '',
-    isProd = false,
-    isMultiSite = false,
-    apiBasePath = '/api',
-    sitesDir = 'sites',
-    data = {},
-    endpoints = [],
-    middleware = []
-  } = {}) {
+  constructor(options = {}) {
+    this.#setOptions(options);
+  }
+
+  /**
+   * @function #setOptions
+   * @param {object} options The constructor options
+   * @returns {void}
+   * @description Sets the options passed into the constructor or "reload" on
+   * the instance and validates them.
+   */
+  #setOptions(options) {
+    const values = {
+      ...DEFAULT_OPTIONS,
+      compression: options.isProd === true,
+      cache: options.isProd === true,
+      ...Object.fromEntries(Object.entries(options).filter(([ , value ]) => value !== undefined))
+    };
+    this.#validate(values);
+    const {
+      domain,
+      aliases,
+      canonicalHost,
+      isProd,
+      isMultiSite,
+      apiBasePath,
+      sitesDir,
+      data,
+      endpoints,
+      middleware,
+      onError,
+      assetPrefixes,
+      template,
+      meta,
+      routes,
+      sitemap,
+      rootResources,
+      mimeTypes,
+      access,
+      redirects,
+      compression,
+      cache,
+      csp,
+      logger,
+      metrics,
+      strict,
+      tls,
+      acmeStore,
+      cors,
+      rateLimit,
+      rateLimitStore
+    } = values;
+    this.#options = options;
+    if (!this.acme || acmeStore !== this.#acmeStore || domain !== this.#domain) {
+      this.acme = new AcmeChallenges({ domain, store: acmeStore });
+    }
+    this.#acmeStore = acmeStore;
+    this.#cors = cors;
+    this.#corsPolicy = cors ? this.#compileCors(cors) : null;
+    if (!this.#rateLimitCounters || rateLimitStore !== this.#rateLimitStore) {
+      this.#rateLimitCounters = rateLimitStore || new RateLimitStore();
+    }
+    this.#rateLimitStore = rateLimitStore;
+    this.#rateLimit = rateLimit ? this.#compileRateLimit(rateLimit, '') : null;
     this.#domain = domain;
+    this.#aliases = Array.isArray(aliases)
+      ? aliases.map(alias => `${alias}`.toLowerCase())
+      : aliases;
+    this.#canonicalHost = canonicalHost === true
+      ? `${domain}`.toLowerCase()
+      : canonicalHost && `${canonicalHost}`.toLowerCase();
     this.#isProd = isProd;
     this.#isMultiSite = isMultiSite;
     this.#apiBasePath = apiBasePath.charAt(0) == '/' ? apiBasePath :`/${apiBasePath}`;
@@ -40,30 +247,551 @@ class SiteLoader {
     this.#data = data;
     this.#endpoints = endpoints;
     this.#middleware = middleware;
-    this.#validate();
+    this.#onError = onError;
+    this.#assetPrefixes = [ 'static', ...assetPrefixes ];
+    this.#template = template;
+    this.#meta = meta;
+    this.#routes = routes;
+    this.#sitemap = sitemap;
+    this.#rootResources = [
+      'sitemap.xml',
+      'robots.txt',
+      '.well-known',
+      ...rootResources.map(name => name.replace(/^\/+|\/+$/g, ''))
+    ];
+    this.#mimeTypes = {
+      '.well-known/apple-app-site-association': 'application/json',
+      '.well-known/openid-configuration': 'application/json',
+      ...mimeTypes
+    };
+    this.#redirects = redirects;
+    this.#compression = compression && {
+      precompressed: true,
+      dynamic: true,
+      threshold: 1024,
+      encodings: [ 'br', 'gzip' ],
+      ...(compression === true ? {} : compression)
+    };
+    this.#cache = cache;
+    this.#csp = csp && {
+      reportOnly: false,
+      ...(csp === true ? {} : csp),
+      directives: csp === true || !csp.directives ? DEFAULT_DIRECTIVES : csp.directives
+    };
+    this.#metrics = metrics;
+    this.#strict = strict;
+    this.#tls = tls && {
+      cert: 'certs/fullchain.pem',
+      key: 'certs/privkey.pem',
+      expiryWarningDays: 30,
+      ...tls
+    };
+    this.#logger = logger && {
+      output: true,
+      sampleRate: 1,
+      redactHeaders: [],
+      redactQuery: [],
+      ...(logger === true || typeof logger == 'function' || typeof logger.write == 'function'
+        ? { output: logger }
+        : logger)
+    };
+    this.#access = access && {
+      type: 'basic',
+      realm: 'Restricted',
+      users: {},
+      htpasswd: '.htpasswd',
+      exempt: [],
+      secret: this.#accessSecret,
+      cookieName: 'site-access',
+      maxAge: 7 * 24 * 60 * 60,
+      ...access
+    };
+    this.#cachePolicies = compileCachePolicies(this.#cache);
   }
 
   /**
    * @function #validate
+   * @param {object} options The constructor options, with the defaults
    * @returns {void}
-   * @description Validates the parameters passed into the constructor.
+   * @description Validates the options passed into the constructor or
+   * "reload" and throws one error listing every problem found.
+   */
+  #validate({
+    domain,
+    aliases,
+    canonicalHost,
+    isProd,
+    isMultiSite,
+    apiBasePath,
+    sitesDir,
+    data,
+    endpoints,
+    middleware,
+    onError,
+    assetPrefixes,
+    template,
+    meta,
+    routes,
+    sitemap,
+    rootResources,
+    mimeTypes,
+    access,
+    redirects,
+    compression,
+    cache,
+    csp,
+    logger,
+    metrics,
+    strict,
+    tls,
+    acmeStore,
+    cors,
+    rateLimit,
+    rateLimitStore
+  }) {
+    const errors = [];
+    const check = (isValid, message) => {
+      if (!isValid) errors.push(message);
+    };
+    const isObject = value => !!value && typeof value == 'object' && !Array.isArray(value);
+    const isStringArray = value => Array.isArray(value) && value.every(item => typeof item == 'string');
+    const isOptional = (value, isValid) => value === null || value === undefined || isValid(value);
+
+    if (!domain) {
+      errors.push('"domain" is required.');
+    } else {
+      check(
+        typeof domain == 'string' && /^[\w.-]+$/.test(domain),
+        `"domain" "${domain}" must be a hostname without a scheme, port, or path.`
+      );
+    }
+    check(
+      Array.isArray(aliases) && aliases.every(alias => {
+        return alias && typeof alias == 'string' && !alias.slice(1).includes('*');
+      }),
+      [
+        '"aliases" must be an array of hostnames.',
+        'A wildcard is only allowed as the first label, for example, "*.example.com".'
+      ].join(' ')
+    );
+    if (canonicalHost && canonicalHost !== true) {
+      check(
+        `${canonicalHost}`.toLowerCase() == `${domain}`.toLowerCase()
+          || (Array.isArray(aliases) && aliases.some(alias => `${alias}`.toLowerCase() == `${canonicalHost}`.toLowerCase())),
+        `"canonicalHost" "${`${canonicalHost}`.toLowerCase()}" must be the domain or one of the aliases.`
+      );
+    }
+    Object.entries({ isProd, isMultiSite, metrics, strict }).forEach(([ name, value ]) => {
+      check(typeof value == 'boolean', `"${name}" must be a boolean.`);
+    });
+    check(typeof apiBasePath == 'string', '"apiBasePath" must be a string.');
+    check(typeof sitesDir == 'string', '"sitesDir" must be a string.');
+    check(isObject(data), '"data" must be an object.');
+    Object.entries({ onError, meta, sitemap }).forEach(([ name, value ]) => {
+      check(isOptional(value, v => typeof v == 'function'), `"${name}" must be a function.`);
+    });
+    check(isStringArray(assetPrefixes), '"assetPrefixes" must be an array of strings.');
+    check(isStringArray(rootResources), '"rootResources" must be an array of strings.');
+    check(
+      isObject(mimeTypes) && Object.values(mimeTypes).every(type => typeof type == 'string'),
+      '"mimeTypes" must be an object of paths or extensions to content types.'
+    );
+    check(
+      typeof template == 'boolean' || (isObject(template) && isOptional(template.dataKeys, isStringArray)),
+      '"template" must be a boolean or an object, and "dataKeys" must be an array of strings.'
+    );
+    check(
+      Array.isArray(routes) && routes.every(route => typeof route == 'string' || typeof route?.path == 'string'),
+      '"routes" must be an array of paths or objects with a "path".'
+    );
+
+    if (!Array.isArray(endpoints)) {
+      errors.push('"endpoints" must be an array.');
+    } else {
+      endpoints.forEach((endpoint, i) => {
+        errors.push(...this.#validateRoute(endpoint, 'Endpoint', i, true));
+        check(
+          isOptional(endpoint?.isSecure, value => typeof value == 'boolean'),
+          `Endpoint "${endpoint?.path}" "isSecure" must be a boolean.`
+        );
+      });
+    }
+    if (!Array.isArray(middleware)) {
+      errors.push('"middleware" must be an array.');
+    } else {
+      middleware.forEach((item, i) => {
+        errors.push(...this.#validateRoute(item, 'Middleware', i, false));
+      });
+    }
+
+    if (!Array.isArray(redirects)) {
+      errors.push('"redirects" must be an array.');
+    } else {
+      try {
+        this.#validateRedirects(redirects);
+      } catch(error) {
+        errors.push(error.message);
+      }
+    }
+    if (access) {
+      check(isObject(access), '"access" must be an object.');
+      check(
+        isOptional(access.type, type => [ 'basic', 'cookie' ].includes(type)),
+        '"access" "type" must be "basic" or "cookie".'
+      );
+      check(isOptional(access.users, isObject), '"access" "users" must be an object of usernames to passwords.');
+      check(isOptional(access.exempt, isStringArray), '"access" "exempt" must be an array of paths.');
+      check(
+        isOptional(access.maxAge, value => typeof value == 'number' && value > 0),
+        '"access" "maxAge" must be a positive number of seconds.'
+      );
+    }
+    check(
+      typeof compression == 'boolean' || (
+        isObject(compression)
+        && isOptional(compression.encodings, value => {
+          return Array.isArray(value) && value.every(encoding => [ 'br', 'gzip' ].includes(encoding));
+        })
+        && isOptional(compression.threshold, value => typeof value == 'number' && value >= 0)
+      ),
+      '"compression" must be a boolean or an object, "encodings" may only include "br" and "gzip", and "threshold" must be a number.'
+    );
+    check(
+      typeof cache == 'boolean' || (
+        isObject(cache)
+        && Object.values(cache).every(policy => typeof policy == 'string')
+      ),
+      '"cache" must be a boolean or an object of path patterns to Cache-Control policies.'
+    );
+    check(
+      !csp || csp === true || (isObject(csp) && isOptional(csp.directives, isObject)),
+      '"csp" "directives" must be an object of directive names to sources.'
+    );
+    if (logger && logger !== true && typeof logger != 'function' && typeof logger.write != 'function') {
+      const { sampleRate = 1, redactHeaders = [], redactQuery = [] } = logger;
+      check(
+        typeof sampleRate == 'number'
+          && sampleRate >= 0
+          && sampleRate <= 1
+          && Array.isArray(redactHeaders)
+          && Array.isArray(redactQuery),
+        [
+          '"logger" "sampleRate" must be a number from 0 to 1,',
+          'and "redactHeaders" and "redactQuery" must be arrays.'
+        ].join(' ')
+      );
+    }
+
+    check(
+      tls === false || (
+        isObject(tls)
+        && isOptional(tls.cert, value => typeof value == 'string')
+        && isOptional(tls.key, value => typeof value == 'string')
+        && isOptional(tls.expiryWarningDays, value => typeof value == 'number')
+      ),
+      '"tls" must be false or an object, "cert" and "key" must be paths, and "expiryWarningDays" must be a number.'
+    );
+
+    const isCors = value => typeof value == 'boolean' || (
+      isObject(value)
+      && isOptional(value.origins, origins => [ origins ].flat().every(origin => {
+        return typeof origin == 'string' || origin instanceof RegExp;
+      }))
+      && [ 'methods', 'headers', 'exposedHeaders' ].every(name => isOptional(value[name], isStringArray))
+      && isOptional(value.credentials, credentials => typeof credentials == 'boolean')
+      && isOptional(value.maxAge, maxAge => typeof maxAge == 'number')
+    );
+    check(
+      isCors(cors),
+      [
+        '"cors" must be a boolean or an object, "origins" must be strings or RegExps,',
+        '"methods", "headers", and "exposedHeaders" must be arrays of strings,',
+        '"credentials" must be a boolean, and "maxAge" must be a number of seconds.'
+      ].join(' ')
+    );
+    check(
+      !Array.isArray(endpoints) || endpoints.every(endpoint => isOptional(endpoint?.cors, isCors)),
+      'Endpoint "cors" must be a boolean or an object, the same as "cors".'
+    );
+    const isRateLimit = value => typeof value == 'boolean' || (
+      isObject(value)
+      && isOptional(value.windowMs, windowMs => typeof windowMs == 'number' && windowMs > 0)
+      && isOptional(value.max, max => Number.isInteger(max) && max >= 0)
+      && isOptional(value.keyBy, keyBy => keyBy == 'ip' || typeof keyBy == 'function')
+    );
+    check(
+      isRateLimit(rateLimit),
+      [
+        '"rateLimit" must be a boolean or an object, "windowMs" must be a positive number,',
+        '"max" must be a non-negative integer, and "keyBy" must be "ip" or a function.'
+      ].join(' ')
+    );
+    check(
+      !Array.isArray(endpoints) || endpoints.every(endpoint => isOptional(endpoint?.rateLimit, isRateLimit)),
+      'Endpoint "rateLimit" must be a boolean or an object, the same as "rateLimit".'
+    );
+    check(
+      isOptional(rateLimitStore, store => typeof store.increment == 'function'),
+      '"rateLimitStore" must have an "increment" method.'
+    );
+    check(
+      isOptional(acmeStore, store => [ 'get', 'set', 'delete' ].every(name => typeof store[name] == 'function')),
+      '"acmeStore" must have "get", "set", and "delete" methods.'
+    );
+
+    if (errors.length) {
+      const error = new Error(errors.length == 1
+        ? errors[0]
+        : [ `${errors.length} options${domain ? ` of "${domain}"` : ''} are not valid:`, ...errors.map(e => `  - ${e}`) ].join('\n'));
+      error.errors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * @function #validateRoute
+   * @param {object} route An endpoint or middleware
+   * @param {string} kind "Endpoint" or "Middleware", for error messages
+   * @param {number} index The route's index, for error messages
+   * @param {boolean} isPathRequired Whether the route must have a path
+   * @returns {string[]} The errors found
    */
-  #validate() {
-    if (!this.#domain) {
-      throw new Error('"domain" is required.');
+  #validateRoute(route, kind, index, isPathRequired) {
+    if (!route || typeof route != 'object') {
+      return [ `${kind} ${index + 1} must be an object with a "handler".` ];
+    }
+    const errors = [];
+    const { path, handler } = route;
+    const name = typeof path == 'string' ? `${kind} "${path}"` : `${kind} ${index + 1}`;
+    if (path !== undefined || isPathRequired) {
+      const [ method, p1, ...rest ] = typeof path == 'string' ? path.split(' ') : [];
+      if (!method || !p1 || rest.length) {
+        errors.push([
+          `${kind} path "${path}" is not valid.`,
+          `${kind} paths must have a method, a space, and a path.`,
+          'For example, "POST /path-1" and "GET /api/path-1" are valid paths.'
+        ].join(' '));
+      } else if (!HTTP_METHODS.includes(method.toUpperCase())) {
+        errors.push(`${name} method "${method}" is not an HTTP method (e.g., GET, POST, PUT, PATCH, DELETE, or ALL).`);
+      }
+    }
+    if (typeof handler != 'function') {
+      errors.push(`${name} "handler" must be a function or a RequestHandler class.`);
     }
-    let invalidEndpoint = this.#endpoints.find(({ path }) => {
-      return path.split(' ').length != 2;
+    return errors;
+  }
+
+  /**
+   * @function #validateRedirects
+   * @param {object[]} redirects The redirect and rewrite rules
+   * @param {string} source Where the rules are from, for error messages
+   * @returns {void}
+   */
+  #validateRedirects(redirects, source = '"redirects"') {
+    const invalidRule = redirects.find(({ from, to, status = 301, rewrite } = {}) => {
+      return typeof from != 'string'
+        || typeof to != 'string'
+        || (!rewrite && ![ 301, 302, 303, 307, 308 ].includes(status));
     });
-    if (invalidEndpoint) {
+    if (invalidRule) {
       throw new Error([
-        `Endpoint path "${invalidEndpoint.path}" is not valid.`,
-        'Endpoint paths must have a method, a space, and a path.',
-        'For example, "POST /path-1" and "GET /api/path-1" are valid paths.'
+        `${source} rule ${JSON.stringify(invalidRule)} is not valid.`,
+        'Rules must have "from" and "to" paths, and "status" must be 301, 302, 303, 307, or 308.'
       ].join(' '));
     }
   }
 
+  /**
+   * @function metricsHandler
+   * @returns {function} An Express request handler
+   * @description Returns a handler that responds with the metrics of every
+   * site loaded in the process, in the Prometheus text exposition format:
+   * "site_loader_requests_total" and the "site_loader_request_duration_seconds"
+   * histogram, labeled by domain, stage, status class, and endpoint route.
+   */
+  static metricsHandler() {
+    return (req, res) => {
+      res.type('text/plain; version=0.0.4');
+      res.send(SiteLoader.#metricsRegistry.render());
+    };
+  }
+
+  /**
+   * @function match
+   * @param {express} app The server's main Express app
+   * @param {object} request
+   * @param {string} request.host The request host (e.g., "www.example.com")
+   * @param {string} request.path The request path
+   * @param {string} request.method The request method
+   * @returns {object} { domain, matchedBy, stage, status, reason, ... }
+   * @description Explains, without sending a request, which site and which
+   * stage would handle a request (e.g., "static", "endpoint", or "catchAll"),
+   * the expected status, if known, and why. Middleware the request would pass
+   * through is listed, because it can respond first.
+   */
+  static match(app, { host = 'localhost', path = '/', method = 'GET' } = {}) {
+    const hostname = `${host}`.replace(/:\d+$/, '');
+    const queryIndex = `${path}`.indexOf('?');
+    const pathname = `/${`${path}`.substring(0, queryIndex == -1 ? undefined : queryIndex).replace(/^\/+/, '')}`;
+    const match = SiteDispatcher.get(app)?.match(hostname, pathname);
+    if (!match) {
+      return {
+        domain: null,
+        matchedBy: null,
+        stage: null,
+        status: 404,
+        reason: 'No site matches the host or path.'
+      };
+    }
+    return match.site.loader.#worker.#explain({
+      hostname,
+      pathname,
+      url: `${pathname}${queryIndex == -1 ? '' : `${path}`.substring(queryIndex)}`,
+      method: `${method}`.toUpperCase(),
+      matchedBy: match.by
+    });
+  }
+
+  /**
+   * @function sitesHandler
+   * @param {object} options
+   * @param {string} options.token A token required as "Authorization: Bearer
+   * {token}"
+   * @param {function} options.authorize Called with (req), returning (or
+   * resolving to) whether the request is allowed
+   * @returns {function} An Express request handler
+   * @description Returns a handler that responds with "describe" for every
+   * site loaded on the app, as { sites }. With "host", "path", and "method"
+   * query params, the response also includes the "match" explanation for that
+   * request. "token" or "authorize" is required, because the response
+   * includes every site's file system paths and configuration.
+   */
+  static sitesHandler({ token = null, authorize = null } = {}) {
+    if (!token && !authorize) {
+      throw new Error('"token" or "authorize" is required.');
+    }
+    return async (req, res, next) => {
+      try {
+        let isAllowed;
+        if (authorize) {
+          isAllowed = await authorize(req);
+        } else {
+          const [ scheme, value = '' ] = (req.get('authorization') || '').split(' ');
+          isAllowed = scheme?.toLowerCase() == 'bearer' && verifyPassword(token, value);
+        }
+        res.set('Cache-Control', 'no-store');
+        if (!isAllowed) {
+          res.status(403).json({ error: { status: 403, message: STATUS_CODES[403] } });
+          return;
+        }
+        const sites = (SiteDispatcher.get(req.app)?.sites || []).map(({ loader }) => loader.describe());
+        const { host, path, method } = req.query;
+        res.json(path ? { sites, match: SiteLoader.match(req.app, { host, path, method }) } : { sites });
+      } catch(error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * @function createSNICallback
+   * @param {SiteLoader[]|express} loaders The SiteLoader instances, or the
+   * Express app they are loaded onto, so sites loaded or unloaded later are
+   * included
+   * @returns {function} A "SNICallback" for https.createServer
+   * @description Returns a callback that selects the certificate of the site
+   * matching the TLS server name, by domain or alias, with exact hostnames
+   * taking precedence over wildcard aliases. If no site matches or the site has
+   * no certificate, then the server's default certificate is used.
+   */
+  static createSNICallback(loaders) {
+    const getLoaders = Array.isArray(loaders)
+      ? () => loaders
+      : () => (SiteDispatcher.get(loaders)?.sites || []).map(({ loader }) => loader);
+    return (servername, callback) => {
+      const hostname = `${servername || ''}`.toLowerCase().replace(/\.$/, '');
+      const candidates = getLoaders();
+      const loader = candidates.find(loader => {
+        return [ loader.#domain, ...loader.#aliases ].some(name => name.toLowerCase() == hostname);
+      }) || candidates.find(loader => {
+        return loader.#aliases.some(alias => alias.startsWith('*.') && hostname.endsWith(alias.substring(1)));
+      });
+      callback(null, loader?.#secureContext() || undefined);
+    };
+  }
+
+  /**
+   * @function loadAll
+   * @param {express} app The server's main Express app
+   * @param {object} options Options applied to every site (e.g., isProd,
+   * sitesDir, apiBasePath), which are overridden by each site's config
+   * @returns {Promise<SiteLoader[]>}
+   * @description Scans "sitesDir" and loads every site directory onto the app.
+   * Each directory name is used as the domain, and the site is configured from
+   * "site.config.js" or "site.config.json" in the directory, if present.
+   * "isMultiSite" is set based on the number of sites found.
+   */
+  static async loadAll(app, { sitesDir = 'sites', ...options } = {}) {
+    const dir = join(process.cwd(), sitesDir);
+    if (!existsSync(dir)) {
+      throw new Error(`"sitesDir" "${dir}" does not exist.`);
+    }
+    const domains = readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name.charAt(0) != '.')
+      .map(({ name }) => name)
+      .sort();
+    const siteLoaders = [];
+    for (const domain of domains) {
+      const config = await SiteLoader.#readConfig(join(dir, domain));
+      siteLoaders.push(new SiteLoader({
+        ...options,
+        ...config,
+        domain,
+        sitesDir,
+        isMultiSite: domains.length > 1
+      }));
+    }
+    siteLoaders.forEach(siteLoader => siteLoader.load(app));
+    return siteLoaders;
+  }
+
+  /**
+   * @function #readConfig
+   * @param {string} siteDir The absolute path to the site's directory
+   * @returns {Promise<object>}
+   * @description Reads "site.config.js" (default export) or "site.config.json"
+   * from the site directory. Endpoint and middleware handlers given as strings
+   * are imported as modules relative to the site directory, which allows
+   * handlers to be referenced from JSON.
+   */
+  static async #readConfig(siteDir) {
+    const jsPath = join(siteDir, 'site.config.js');
+    const jsonPath = join(siteDir, 'site.config.json');
+    let config = {};
+    if (existsSync(jsPath)) {
+      config = (await import(pathToFileURL(jsPath).href)).default || {};
+    } else if (existsSync(jsonPath)) {
+      try {
+        config = JSON.parse(readFileSync(jsonPath, 'utf8'));
+      } catch(error) {
+        throw new Error(`"${jsonPath}" is not valid JSON. ${error.message}`);
+      }
+    }
+    const importHandlers = items => Promise.all((items || []).map(async item => {
+      if (typeof item.handler != 'string') return item;
+      const { default: handler } = await import(
+        pathToFileURL(resolve(siteDir, item.handler)).href
+      );
+      return { ...item, handler };
+    }));
+    const { domain, sitesDir, isMultiSite, ...rest } = config;
+    return {
+      ...rest,
+      ...(config.endpoints && { endpoints: await importHandlers(config.endpoints) }),
+      ...(config.middleware && { middleware: await importHandlers(config.middleware) })
+    };
+  }
+
   /**
    * @function load
    * @param {express} app The server's main Express app
@@ -71,25 +799,436 @@ class SiteLoader {
    * @description The entry point for calling the class's functions in order.
    */
   load(app) {
+    if (this.#app) {
+      throw new Error(`"${this.#domain}" is already loaded.`);
+    }
+    this.#checkLoad(app);
+    this.#secureContext();
     this.#initInstanceProperties(app);
-    this.#initRequestProperties();
+    this.#initWorker();
+    this.#initDispatch();
+  }
+
+  /**
+   * @function #initWorker
+   * @returns {void}
+   * @description Builds the site's router on a new internal SiteLoader with
+   * the current options, so that each router reads only its own
+   * configuration, and "reload" can build a new one while requests already in
+   * the old one finish on the old configuration. The maintenance settings,
+   * ACME challenges, rate limit counters, and access cookie secret are shared
+   * with the worker, so they carry over a reload.
+   */
+  #initWorker() {
+    const worker = new SiteLoader(this.#options);
+    worker.acme = this.acme;
+    worker.#maintenance = this.#maintenance;
+    worker.#rateLimitCounters = this.#rateLimitCounters;
+    worker.#access = this.#access;
+    worker.#initInstanceProperties(this.#app);
+    worker.#initRouter();
+    this.#worker = worker;
+  }
+
+  /**
+   * @function #checkLoad
+   * @param {express} app The server's main Express app
+   * @param {SiteLoader} replacing The loaded SiteLoader being reloaded, if any
+   * @returns {void}
+   * @description Checks for problems that would otherwise only show at request
+   * time: unknown options, duplicate endpoints, a missing public directory or,
+   * in production, index.html, and conflicts with the other sites on the app
+   * (the same domain, overlapping hostnames, more than one default site, and
+   * the same endpoints on sites that share a hostname). If "strict" is true,
+   * then one error listing every problem is thrown. Otherwise, each problem is
+   * logged as a warning.
+   */
+  #checkLoad(app, replacing = null) {
+    const problems = [];
+    const publicDir = this.#resolvePublicDir();
+    const routes = this.#endpoints.map(({ path }) => {
+      const [ method, p1 ] = path.split(' ');
+      return `${method.toUpperCase()} /${p1.replace(/^\/+/, '')}`;
+    });
+
+    Object.keys(this.#options)
+      .filter(name => !Object.hasOwn(DEFAULT_OPTIONS, name))
+      .forEach(name => problems.push(`Unknown option "${name}".`));
+    routes
+      .filter((route, i) => routes.indexOf(route) != i)
+      .filter((route, i, duplicates) => duplicates.indexOf(route) == i)
+      .forEach(route => problems.push(`Endpoint "${route}" is defined more than once. Only the first is used.`));
+    if (this.#tls && (this.#options.tls?.cert || this.#options.tls?.key)) {
+      Object.values(this.#certificatePaths())
+        .filter(path => !existsSync(path))
+        .forEach(path => problems.push(`The TLS file "${path}" does not exist.`));
+    }
+    if (!existsSync(publicDir)) {
+      problems.push(`The public directory "${publicDir}" does not exist.`);
+    } else if (this.#isProd && !existsSync(join(publicDir, 'index.html'))) {
+      problems.push(`"${join(publicDir, 'index.html')}" does not exist, so pages return a 404.`);
+    }
+
+    const hostnames = [ this.#domain, ...this.#aliases ].map(hostname => hostname.toLowerCase());
+    const overlaps = (a, b) => a == b
+      || (a.startsWith('*.') && b.endsWith(a.substring(1)))
+      || (b.startsWith('*.') && a.endsWith(b.substring(1)));
+    (SiteDispatcher.get(app)?.sites || [])
+      .map(({ loader }) => loader)
+      .filter(loader => loader !== this && loader !== replacing)
+      .forEach(loader => {
+        const other = loader.describe();
+        let isShared = false;
+        if (other.domain.toLowerCase() == this.#domain.toLowerCase()) {
+          isShared = true;
+          problems.push(`"${this.#domain}" is already loaded onto the app. Requests are matched to the first site loaded.`);
+        } else {
+          [ other.domain, ...other.aliases ].map(hostname => hostname.toLowerCase()).forEach(b => {
+            hostnames.filter(a => overlaps(a, b)).forEach(a => {
+              isShared = true;
+              problems.push(`Hostname "${a}" overlaps "${b}" of "${other.domain}". Requests are matched to the first site loaded.`);
+            });
+          });
+        }
+        if (!this.#isMultiSite && !other.isMultiSite) {
+          problems.push(`"${other.domain}" is also loaded with "isMultiSite" false. Only the first site loaded handles requests that do not match a site.`);
+        }
+        if (isShared) {
+          other.endpoints
+            .map(({ method, path }) => `${method} ${path}`)
+            .filter(route => routes.includes(route))
+            .forEach(route => problems.push(`Endpoint "${route}" is also defined by "${other.domain}".`));
+        }
+      });
+
+    if (!problems.length) return;
+    if (this.#strict) {
+      const error = new Error([
+        `"${this.#domain}" cannot be loaded:`,
+        ...problems.map(problem => `  - ${problem}`)
+      ].join('\n'));
+      error.errors = problems;
+      throw error;
+    }
+    problems.forEach(problem => console.warn(`SiteLoader "${this.#domain}": ${problem}`));
+  }
+
+  /**
+   * @function unload
+   * @returns {void}
+   * @description Removes the site from the app. Requests already being handled
+   * by the site finish, and subsequent requests for the site are not matched.
+   * The site can be loaded again with "load".
+   */
+  unload() {
+    if (!this.#app) return;
+    SiteDispatcher.for(this.#app).remove(this.#site);
+    this.#worker.#closeWatcher();
+    this.#app = null;
+    this.#worker = null;
+    this.#site = null;
+  }
+
+  /**
+   * @function reload
+   * @param {object} options Constructor options, which are merged into the
+   * current options
+   * @returns {void}
+   * @description Updates the site's options and, if the site is loaded,
+   * replaces its router with one built from the new options without
+   * restarting the server. Requests already being handled by the site finish
+   * on the old router and configuration, and subsequent requests are handled
+   * by the new router.
+   * If the new options are not valid, then an error is thrown and the site is
+   * left as it was.
+   */
+  reload(options = {}) {
+    const nextOptions = { ...this.#options, ...options };
+    const nextSiteLoader = new SiteLoader(nextOptions);
+    if (this.#app) nextSiteLoader.#checkLoad(this.#app, this);
+    this.#setOptions(nextOptions);
+    this.#certificate = { checkedAt: 0, mtimes: null, context: null };
+    if (!this.#app) return;
+    this.#secureContext();
+    this.#worker.#closeWatcher();
+    this.#initInstanceProperties(this.#app);
+    this.#initWorker();
+    this.#initDispatch();
+  }
+
+  /**
+   * @function setMaintenance
+   * @param {object} options
+   * @param {boolean} options.enabled Whether the site is in maintenance mode
+   * @param {number|Date} options.retryAfter The seconds until, or the date
+   * when, the site is expected to be available, sent as "Retry-After"
+   * @param {string[]} options.allowIps IP addresses that can still access the
+   * site
+   * @returns {void}
+   * @description Turns maintenance mode on or off. While it is on, requests
+   * return a 503 with the site's maintenance.html (or JSON under
+   * "apiBasePath"), except .well-known requests and requests from "allowIps".
+   * Maintenance mode is also on while a "MAINTENANCE" file exists in the
+   * site's directory, which may contain the options as JSON.
+   */
+  setMaintenance({
+    enabled = true,
+    retryAfter = 3600,
+    allowIps = []
+  } = {}) {
+    Object.assign(this.#maintenance, { enabled, retryAfter, allowIps });
+  }
+
+  /**
+   * @function describe
+   * @returns {object}
+   * @description Returns a read-only summary of the site for debugging: its
+   * hostnames, mode, public directory, endpoints, middleware, and common
+   * resources, and which features are on. Secrets (e.g., "access" users) are
+   * not included.
+   */
+  describe() {
+    const publicDir = this.publicDir || this.#resolvePublicDir();
+    return {
+      domain: this.#domain,
+      aliases: [ ...this.#aliases ],
+      canonicalHost: this.#canonicalHost || null,
+      isLoaded: !!this.#app,
+      mode: this.#isProd ? 'production' : 'development',
+      isMultiSite: !!this.#isMultiSite,
+      basePath: this.#isProd || !this.#isMultiSite ? '/' : `/${this.#domain}/`,
+      publicDir,
+      publicDirExists: existsSync(publicDir),
+      indexExists: existsSync(join(publicDir, 'index.html')),
+      apiBasePath: this.#apiBasePath,
+      endpoints: this.#endpoints.map(({ path, isSecure }) => {
+        const [ method, route ] = path.split(' ');
+        return {
+          method: method.toUpperCase(),
+          path: route.charAt(0) == '/' ? route : `/${route}`,
+          isSecure: !!isSecure
+        };
+      }),
+      middleware: this.#middleware.map(({ path }) => ({ path: path || null })),
+      rootResources: this.#rootResources.map(name => {
+        const exists = existsSync(join(publicDir, name));
+        return {
+          name,
+          exists,
+          isGenerated: !exists && [ 'sitemap.xml', 'robots.txt' ].includes(name)
+        };
+      }),
+      redirects: this.#worker?.#redirectRules?.length ?? this.#redirects.length,
+      access: this.#access?.type || null,
+      maintenance: !!this.#maintenanceSettings(),
+      compression: !!this.#compression,
+      cache: !!this.#cache,
+      csp: this.#csp ? (this.#csp.reportOnly ? 'reportOnly' : 'enforce') : null,
+      cors: !!this.#corsPolicy,
+      rateLimit: this.#rateLimit ? { windowMs: this.#rateLimit.windowMs, max: this.#rateLimit.max } : null,
+      logger: !!this.#logger,
+      metrics: !!this.#metrics
+    };
+  }
+
+  /**
+   * @function #explain
+   * @param {object} request
+   * @param {string} request.hostname The request hostname
+   * @param {string} request.pathname The request path
+   * @param {string} request.url The request path and query
+   * @param {string} request.method The request method
+   * @param {string} request.matchedBy How the site was matched
+   * @param {string} request.rewrittenFrom The URL before a rewrite rule was
+   * applied, if one was
+   * @returns {object}
+   * @description Follows the request through the site's stages in the order
+   * of the router (see "#initRouter") and returns the first one that would
+   * respond. As in "#initRedirects", a rewritten request continues from the
+   * stage after the redirects, so rewrite rules are applied once.
+   */
+  #explain({ hostname, pathname, url, method, matchedBy, rewrittenFrom = null }) {
+    const req = {
+      pathParts: pathname.split('/').filter(Boolean),
+      originalUrl: url,
+      siteMatch: matchedBy
+    };
+    const sitePath = this.#sitePath(req);
+    const publicDir = this.publicDir || this.#resolvePublicDir();
+    const result = {
+      domain: this.#domain,
+      matchedBy,
+      middleware: this.#matchingMiddleware(pathname, method),
+      ...(this.#access && !this.#isAccessExempt(sitePath) && { access: this.#access.type }),
+      ...(rewrittenFrom && { rewrittenFrom })
+    };
+    const explain = (stage, status, reason, details = {}) => {
+      return { ...result, stage, status, reason, ...details };
+    };
+
+    if (
+      !rewrittenFrom
+      && this.#canonicalHost
+      && matchedBy == 'hostname'
+      && hostname.toLowerCase() != this.#canonicalHost
+    ) {
+      return explain('canonicalHost', 301, `Redirected to the canonical host "${this.#canonicalHost}".`);
+    }
+    const redirect = rewrittenFrom ? null : this.#matchRedirect({ ...req, originalUrl: url });
+    if (redirect?.rewrite) {
+      return this.#explain({
+        hostname,
+        pathname: redirect.target.split('?')[0],
+        url: redirect.target,
+        method,
+        matchedBy,
+        rewrittenFrom: url
+      });
+    }
+    if (redirect) {
+      return explain('redirect', redirect.status, 'Redirected by a redirect rule.', {
+        location: redirect.target
+      });
+    }
+    if (result.access) {
+      result.reason = `Requires a login ("${this.#access.type}" access).`;
+    }
+    if (this.#maintenanceSettings() && !sitePath.startsWith('/.well-known/')) {
+      return explain('maintenance', 503, 'The site is in maintenance mode.');
+    }
+
+    const staticMount = this.#staticMounts(publicDir).find(({ mountPath }) => {
+      const path = pathname.toLowerCase();
+      return path == mountPath.toLowerCase() || path.startsWith(`${mountPath.toLowerCase()}/`);
+    });
+    if (staticMount) {
+      const file = join(staticMount.dir, pathname.substring(staticMount.mountPath.length) || '/');
+      return existsSync(file)
+        ? explain('static', 200, 'Served from the public directory.', { file })
+        : explain('404', 404, `"${file}" does not exist.`);
+    }
+
+    const resourceParts = sitePath.split('/').filter(Boolean);
+    if (this.#rootResources.includes(resourceParts[0])) {
+      const file = this.#rootResourcePath(publicDir, resourceParts);
+      if (file && existsSync(file) && statSync(file).isFile()) {
+        return explain('commonResource', 200, 'Served from the public directory.', { file });
+      }
+      if (resourceParts.length == 1 && [ 'sitemap.xml', 'robots.txt' ].includes(resourceParts[0])) {
+        return explain('commonResource', 200, `"${resourceParts[0]}" is generated.`);
+      }
+      return file
+        ? explain('404', 404, `"${file}" does not exist.`)
+        : explain('404', 404, `The path leaves "${join(publicDir, resourceParts[0])}".`);
+    }
+
+    if (!this.#literalRoutes) this.#compileEndpointRoutes();
+    const methods = this.#allowedMethods(pathname);
+    if (methods && (methods.has(method) || methods.has('ALL') || method == 'OPTIONS')) {
+      return explain('endpoint', null, 'Matches an endpoint.', {
+        route: this.#endpointRoute(pathname, method)
+      });
+    }
+    if (this.#isApiPath(req)) {
+      return methods
+        ? explain('endpoint', 405, `Matches an endpoint, but not the method.`, { allow: [ ...methods ] })
+        : explain('404', 404, `No endpoint matches the path under "${this.#apiBasePath}".`);
+    }
+
+    if ([ 'GET', 'HEAD' ].includes(method)) {
+      return existsSync(join(publicDir, 'index.html'))
+        ? explain('catchAll', 200, 'No endpoint matches the path, so index.html is served.')
+        : explain('404', 404, `No endpoint matches the path, and "${join(publicDir, 'index.html')}" does not exist.`);
+    }
+    return explain(null, 404, `No handler matches ${method} requests to the path, so the request is passed on to the app.`);
+  }
+
+  /**
+   * @function #matchingMiddleware
+   * @param {string} pathname The request path
+   * @param {string} method The request method
+   * @returns {string[]} The paths of the middleware the request passes through,
+   * with "*" for middleware without a path
+   */
+  #matchingMiddleware(pathname, method) {
+    return this.#middleware
+      .filter(({ path }) => {
+        if (!path) return true;
+        const [ m, p ] = this.#endpointPath(path);
+        return (m == method || m == 'ALL' || (m == 'GET' && method == 'HEAD'))
+          && pathToRegexp(p, [], { sensitive: false, strict: false, end: true }).test(pathname);
+      })
+      .map(({ path }) => path || '*');
+  }
+
+  /**
+   * @function #initRouter
+   * @returns {void}
+   * @description Defines the site's handlers on a new router in the order the
+   * request passes through them.
+   */
+  #initRouter() {
+    this.#router = express.Router();
+    this.#compileEndpointRoutes();
+    this.#initLogger();
+    this.#initMetrics();
+    this.#initCors();
+    this.#initAcmeChallenges();
+    this.#initRateLimit();
+    this.#initCanonicalHost();
+    this.#initRedirects();
+    this.#initAccess();
+    this.#initMaintenance();
+    this.#initContentSecurityPolicy();
     this.#initMiddleware();
     this.#initStaticPath();
     this.#initCommonResources();
     this.#initEndpointValidation();
+    this.#initEndpointAssetPaths();
     this.#initEndpoints();
     this.#initCatchAll();
+    this.#initErrorHandler();
+  }
+
+  /**
+   * @function refresh
+   * @returns {void}
+   * @description Clears the site's cached resources (e.g., index.html and the
+   * generated sitemap.xml) so they are read or generated again on the next
+   * request. Call after a deploy replaces the site's files in production, where
+   * the files are not watched.
+   */
+  refresh() {
+    this.#indexCache = null;
+    this.#sitemapRoutes = null;
+    this.#compressedFiles.clear();
+    this.#compressedBytes = 0;
+    if (this.#redirectRules) {
+      this.#redirectRules = this.#compileRedirects();
+    }
+    this.#worker?.refresh();
   }
 
   /**
    * @function #initInstanceProperties
    * @param {express} app The server's main Express app
    * @returns {void}
-   * @description Sets instance properties on load.
+   * @description Sets instance properties on load. The site's handlers are
+   * defined on its own router rather than on the app, so that only the matched
+   * site's handlers run for a request.
    */
   #initInstanceProperties(app) {
     this.#app = app;
-    this.publicDir = join(
+    this.publicDir = this.#resolvePublicDir();
+  }
+
+  /**
+   * @function #resolvePublicDir
+   * @returns {string} The absolute path to the site's public directory,
+   * "dist" in production and "public" otherwise
+   */
+  #resolvePublicDir() {
+    return join(
       process.cwd(),
       this.#sitesDir,
       this.#domain,
@@ -98,133 +1237,1139 @@ class SiteLoader {
   }
 
   /**
-   * @function #initRequestProperties
+   * @function #certificatePaths
+   * @returns {object} { cert, key } The absolute paths to the site's
+   * certificate chain and private key, relative to the site's directory unless
+   * absolute
+   */
+  #certificatePaths() {
+    const siteDir = join(process.cwd(), this.#sitesDir, this.#domain);
+    return {
+      cert: resolve(siteDir, this.#tls.cert),
+      key: resolve(siteDir, this.#tls.key)
+    };
+  }
+
+  /**
+   * @function #secureContext
+   * @returns {SecureContext|null}
+   * @description Returns the site's TLS context, or null if "tls" is false or
+   * the certificate files do not exist. The files are checked for changes at
+   * most once per second and read again when they change (e.g., after a
+   * renewal), and the previous context is kept if the new files are not
+   * valid.
+   */
+  #secureContext() {
+    if (!this.#tls) return null;
+    const now = Date.now();
+    if (now - this.#certificate.checkedAt < 1000) return this.#certificate.context;
+    this.#certificate.checkedAt = now;
+    const paths = this.#certificatePaths();
+    if (!existsSync(paths.cert) || !existsSync(paths.key)) return this.#certificate.context;
+    const mtimes = `${statSync(paths.cert).mtimeMs} ${statSync(paths.key).mtimeMs}`;
+    if (mtimes == this.#certificate.mtimes) return this.#certificate.context;
+    this.#certificate.mtimes = mtimes;
+    try {
+      const cert = readFileSync(paths.cert);
+      this.#certificate.context = createSecureContext({ cert, key: readFileSync(paths.key) });
+      this.#checkCertificate(cert, paths.cert);
+    } catch(error) {
+      console.warn(`SiteLoader "${this.#domain}": The TLS certificate "${paths.cert}" could not be loaded. ${error.message}`);
+    }
+    return this.#certificate.context;
+  }
+
+  /**
+   * @function #checkCertificate
+   * @param {Buffer} cert The certificate chain
+   * @param {string} path The path to the certificate chain, for warnings
+   * @returns {void}
+   * @description Warns if the certificate has expired, expires within
+   * "expiryWarningDays", or does not cover the site's domain and aliases.
+   */
+  #checkCertificate(cert, path) {
+    const certificate = new X509Certificate(cert);
+    const warn = message => console.warn(`SiteLoader "${this.#domain}": ${message}`);
+    const days = (Date.parse(certificate.validTo) - Date.now()) / (24 * 60 * 60 * 1000);
+    if (days < 0) {
+      warn(`The TLS certificate "${path}" expired on ${certificate.validTo}.`);
+    } else if (days < this.#tls.expiryWarningDays) {
+      warn(`The TLS certificate "${path}" expires in ${Math.floor(days)} days, on ${certificate.validTo}.`);
+    }
+    [ this.#domain, ...this.#aliases ]
+      .filter(hostname => !hostname.startsWith('*.') && !certificate.checkHost(hostname))
+      .forEach(hostname => warn(`The TLS certificate "${path}" does not cover "${hostname}".`));
+  }
+
+  /**
+   * @function #initLogger
    * @returns {void}
-   * @description Adds properties to the request object for use in subsequent
-   * middleware.
+   * @description If "logger" is set, then writes one record for each sampled
+   * request when the response finishes: { time, domain, stage, method, path,
+   * status, bytes, duration, headers }. "stage" is the handler that responded
+   * ("static", "commonResource", "endpoint", "catchAll", "redirect",
+   * "maintenance", "rateLimit", "404", or "middleware" for anything else), and
+   * "duration" is in milliseconds. The Authorization, Cookie, and
+   * Proxy-Authorization headers and the configured headers and query params
+   * are redacted.
    */
-  #initRequestProperties() {
-    this.#app.use((req, res, next) => {
-      req.pathParts = req.path.split('/').filter(Boolean);
-      req.isSite =
-        !this.#isMultiSite
-        || req.hostname.includes(this.#domain)
-        || req.pathParts[0] == this.#domain
-        || req.pathParts[1] == this.#domain
-        || req.pathParts[2] == this.#domain;
+  #initLogger() {
+    if (!this.#logger) return;
+    const { output, sampleRate } = this.#logger;
+    const write = createOutput(output);
+    const headerNames = [ 'authorization', 'cookie', 'proxy-authorization', ...this.#logger.redactHeaders ]
+      .map(name => name.toLowerCase());
+    const queryParams = this.#logger.redactQuery.map(name => name.toLowerCase());
+    this.#router.use((req, res, next) => {
+      if (sampleRate < 1 && Math.random() >= sampleRate) return next();
+      const start = process.hrtime.bigint();
+      const bytes = countBytes(res);
+      let isLogged = false;
+      const log = () => {
+        if (isLogged) return;
+        isLogged = true;
+        write({
+          time: new Date().toISOString(),
+          domain: this.#domain,
+          stage: req.siteStage || (res.statusCode == 404 ? '404' : 'middleware'),
+          method: req.method,
+          path: redactUrl(req.originalUrl, queryParams),
+          status: res.statusCode,
+          bytes: bytes(),
+          duration: Math.round(Number(process.hrtime.bigint() - start) / 1e3) / 1e3,
+          headers: redactHeaders(req.headers, headerNames)
+        });
+      };
+      res.once('finish', log);
+      res.once('close', log);
       next();
     });
   }
 
   /**
-   * @function #initMiddleware
+   * @function #initMetrics
    * @returns {void}
-   * @description Defines site-specific middleware on the app before registering
-   * the endpoints, so the middleware is called before the endpoints, because
-   * the endpoints are intended to be the last middleware the request passes
-   * through before sending the response.
-   */
-   #initMiddleware() {
-      registerMiddleware({
-        app: this.#app,
-        middleware: this.#middleware,
-        isProd: this.#isProd,
-        isMultiSite: this.#isMultiSite,
-        domain: this.#domain
+   * @description Unless "metrics" is false, then records each request's stage,
+   * status, and duration in the metrics shared by all sites, with endpoint
+   * requests labeled by the endpoint's declared path (e.g.,
+   * "GET /api/users/:id").
+   */
+  #initMetrics() {
+    if (!this.#metrics) return;
+    this.#router.use((req, res, next) => {
+      const start = process.hrtime.bigint();
+      res.once('finish', () => {
+        SiteLoader.#metricsRegistry.observe({
+          domain: this.#domain,
+          stage: req.siteStage || (res.statusCode == 404 ? '404' : 'middleware'),
+          status: res.statusCode,
+          route: req.siteStage == 'endpoint' ? req.siteRoute : ''
+        }, Number(process.hrtime.bigint() - start) / 1e9);
       });
-    }
+      next();
+    });
+  }
 
   /**
-   * @function #initStaticPath
+   * @function #initAcmeChallenges
    * @returns {void}
-   * @description Sets the site's static path to "{star}/static". The star
-   * ensures it matches the site's domain in the domain, and also as a path for
-   * loading on localhost. When the path is called, the middleware checks if it
-   * is for the current site, and if so, it serves the resource from the site's
-   * public directory.
+   * @description Answers "/.well-known/acme-challenge/{token}" with the key
+   * authorization set with "acme.set", before any other site handler, so the
+   * challenge is not redirected, protected, or blocked by maintenance mode. If
+   * no challenge is pending for the token, then the request continues to the
+   * .well-known files in the public directory.
    */
-  #initStaticPath() {
-    const handle = (req, res, next) => {
-      if (req.isSite) {
-        const path = req.path.split('/static').join('/static');
-        if (!existsSync(join(this.publicDir, path))) {
-          res.status(404).send();
-        } else {
-          express.static(this.publicDir)(req, res, next);
-        }
-      } else {
-        next();
-      }
+  #initAcmeChallenges() {
+    this.#router.get('*', (req, res, next) => {
+      const match = this.#sitePath(req).match(/^\/\.well-known\/acme-challenge\/([^/]+)$/);
+      if (!match) return next();
+      this.acme.get(match[1]).then(keyAuthorization => {
+        if (keyAuthorization === null) return next();
+        req.siteStage = 'commonResource';
+        res.set('Cache-Control', 'no-store');
+        res.type('text/plain');
+        res.send(keyAuthorization);
+      }).catch(next);
+    });
+  }
+
+  /**
+   * @function #compileRateLimit
+   * @param {boolean|object} rateLimit The "rateLimit" option, or an endpoint's
+   * "rateLimit"
+   * @param {string} route The endpoint's declared path, or "" for the site
+   * @returns {object}
+   */
+  #compileRateLimit(rateLimit, route) {
+    const { windowMs = 60000, max = 100, keyBy = 'ip' } = rateLimit === true ? {} : rateLimit;
+    return {
+      windowMs,
+      max,
+      keyBy: typeof keyBy == 'function' ? keyBy : req => req.ip,
+      route
     };
-    this.#app.use('/static', handle);
-    this.#app.use(`/${this.#domain}/static`, handle);
   }
 
   /**
-   * @function #initCommonResources
+   * @function #endpointRateLimit
+   * @param {object} endpoint The endpoint
+   * @param {string} label The endpoint's declared path (e.g., "GET /api/users")
+   * @returns {object|null} The site's rate limit with the endpoint's
+   * "rateLimit" merged in, or null if the endpoint is not limited
+   */
+  #endpointRateLimit({ rateLimit }, label) {
+    if (rateLimit === undefined) return this.#rateLimit;
+    if (!rateLimit) return null;
+    const { windowMs, max, keyBy } = this.#rateLimit || {};
+    return this.#compileRateLimit({
+      ...(this.#rateLimit ? { windowMs, max, keyBy } : {}),
+      ...(rateLimit === true ? {} : rateLimit)
+    }, label);
+  }
+
+  /**
+   * @function #initRateLimit
    * @returns {void}
-   * @description Returns common resources requested at the root path (e.g.,
-   * sitemap.xml, robots.txt, etc.).
-   */
-   #initCommonResources() {
-    this.#app.use((req, res, next) => {
-      if (req.isSite) {
-        const pathParts = req.pathParts;
-        if (pathParts[0] == this.#domain) {
-          pathParts.shift();
-        }
-        if ([
-          'sitemap.xml',
-          'robots.txt',
-          '.well-known'
-        ].includes(pathParts[0])) {
-          const path = join(this.publicDir, pathParts.join('/'));
-          if (!existsSync(path)) {
-            res.status(404).send();
-          } else {
-            res.setHeader('content-type', 'text/plain');
-            res.sendFile(path);
-          }
-        } else {
-          next();
-        }
-      } else {
-        next();
-      }
+   * @description If "rateLimit" is set on the site or any endpoint, then counts
+   * the requests to the site by key ("keyBy", by default the client IP) in
+   * fixed windows and responds with a 429 and "Retry-After" once "max" is
+   * exceeded. An endpoint with its own "rateLimit" is counted separately from
+   * the rest of the site. Counter keys start with the domain, so sites sharing
+   * a store do not share limits. Every limited response has the "RateLimit-*"
+   * headers. If "keyBy" returns null or "", then the request is not limited.
+   */
+  #initRateLimit() {
+    if (!this.#rateLimit && !this.#endpoints.some(({ rateLimit }) => rateLimit)) return;
+    this.#router.use((req, res, next) => {
+      const route = this.#endpointRoute(req.path, req.method);
+      const policy = route ? this.#rateLimitPolicies.get(route) : this.#rateLimit;
+      if (!policy) return next();
+      const key = policy.keyBy(req);
+      if (key === null || key === undefined || key === '') return next();
+      const counterKey = policy.route
+        ? `${this.#domain}/${policy.route}/${key}`
+        : `${this.#domain}/${key}`;
+      Promise.resolve(this.#rateLimitCounters.increment(counterKey, policy.windowMs)).then(({ count, resetTime }) => {
+        const reset = Math.max(0, Math.ceil((resetTime - Date.now()) / 1000));
+        res.set({
+          'RateLimit-Policy': `${policy.max};w=${Math.ceil(policy.windowMs / 1000)}`,
+          'RateLimit-Limit': `${policy.max}`,
+          'RateLimit-Remaining': `${Math.max(0, policy.max - count)}`,
+          'RateLimit-Reset': `${reset}`
+        });
+        if (count <= policy.max) return next();
+        req.siteStage = 'rateLimit';
+        res.set('Retry-After', `${reset}`);
+        this.#sendError(req, res, 429);
+      }).catch(next);
     });
-   }
+  }
 
   /**
-   * @function #initEndpointValidator
+   * @function #initCanonicalHost
    * @returns {void}
-   * @description If the request is for the current site, and the request path
-   * has the base path of one the valid API endpoints (e.g., /api), and the API
-   * endpoint does not actually exist, then a 404 is returned.
+   * @description If "canonicalHost" is set, then requests matched to the site
+   * by any other hostname (e.g., "www.{domain}" or another alias) are
+   * redirected with a 301 to the same path and query on the canonical host.
+   * Requests matched by path prefix on localhost are not redirected.
    */
-  #initEndpointValidation() {
-    this.#app.use((req, res, next) => {
-      // TODO: Optimize
-      const [ p1, p2 ] = req.pathParts;
+  #initCanonicalHost() {
+    if (!this.#canonicalHost) return;
+    this.#router.use((req, res, next) => {
       if (
-        req.isSite
-        && (
-          `/${p1}` == this.#apiBasePath
-          || `/${p2}` == this.#apiBasePath
-        )
-        && !this.#endpoints.find(({ path }) => {
-          const _path = path
-            .split(' ')[1]
-            .split(':')[0]
-            .split('/')
-            .filter(Boolean)
-            .join('/');
-          return req.path.includes(_path);
-        })
+        req.siteMatch != 'hostname'
+        || req.hostname.toLowerCase() == this.#canonicalHost
       ) {
-        res.status(404).send();
-      } else {
-        next();
+        return next();
       }
+      const port = (req.get('host') || '').match(/:\d+$/)?.[0] || '';
+      res.redirect(301, `${req.protocol}://${this.#canonicalHost}${port}${req.originalUrl}`);
+    });
+  }
+
+  /**
+   * @function #compileRedirects
+   * @returns {object[]}
+   * @description Compiles the rules in "redirects" and then in redirects.json
+   * in the site's directory. In "from", ":name" matches one path segment and
+   * "*" matches the rest of the path, and both are substituted into "to".
+   */
+  #compileRedirects() {
+    const path = join(process.cwd(), this.#sitesDir, this.#domain, 'redirects.json');
+    let fileRules = [];
+    if (existsSync(path)) {
+      try {
+        fileRules = JSON.parse(readFileSync(path, 'utf8'));
+      } catch(error) {
+        throw new Error(`"${path}" is not valid JSON. ${error.message}`);
+      }
+      if (!Array.isArray(fileRules)) {
+        throw new Error(`"${path}" must be an array of rules.`);
+      }
+      this.#validateRedirects(fileRules, `"${path}"`);
+    }
+    return [ ...this.#redirects, ...fileRules ].map(({
+      from,
+      to,
+      status = 301,
+      rewrite = false,
+      preserveQuery = true
+    }) => {
+      const keys = [];
+      const pattern = `/${from.replace(/^\/+|\/+$/g, '')}`
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\/:(\w+)/g, (match, key) => {
+          keys.push(key);
+          return '/([^/]+)';
+        })
+        .replace(/\*/g, () => {
+          keys.push('*');
+          return '(.*)';
+        });
+      return {
+        regexp: new RegExp(`^${pattern}/?$`, 'i'),
+        keys,
+        to,
+        status,
+        rewrite,
+        preserveQuery
+      };
+    });
+  }
+
+  /**
+   * @function #initRedirects
+   * @returns {void}
+   * @description Applies the redirect and rewrite rules right after the site is
+   * matched, before any other site handler. A redirect responds with the rule's
+   * status and the "to" location. A rewrite serves the "to" path without
+   * changing the URL. Paths are matched without the "/{domain}" prefix used on
+   * localhost, and the prefix is kept in the "to" path.
+   */
+  #initRedirects() {
+    this.#redirectRules = this.#compileRedirects();
+    this.#router.use((req, res, next) => {
+      if (!this.#redirectRules.length) return next();
+      const redirect = this.#matchRedirect(req);
+      if (!redirect) return next();
+      if (redirect.rewrite) {
+        req.url = redirect.target;
+        req.pathParts = req.path.split('/').filter(Boolean);
+        return next();
+      }
+      req.siteStage = 'redirect';
+      res.redirect(redirect.status, redirect.target);
+    });
+  }
+
+  /**
+   * @function #matchRedirect
+   * @param {object} req The Express request
+   * @returns {object|null} { target, status, rewrite }
+   * @description Returns the target of the first redirect or rewrite rule
+   * matching the request, or null if none matches. A rule with an absolute
+   * "to" URL always redirects.
+   */
+  #matchRedirect(req) {
+    const sitePath = this.#sitePath(req);
+    for (const { regexp, keys, to, status, rewrite, preserveQuery } of this.#redirectRules) {
+      const match = regexp.exec(sitePath);
+      if (!match) continue;
+      const params = keys.reduce((params, key, i) => {
+        params[key] = match[i + 1] || '';
+        return params;
+      }, {});
+      let target = to.replace(/:(\w+)|\*/g, (placeholder, key) => {
+        const value = params[key || '*'];
+        return value === undefined ? placeholder : value;
+      });
+      const isAbsolute = /^[a-z][a-z\d+.-]*:\/\//i.test(target);
+      if (!isAbsolute && req.pathParts[0] == this.#domain) {
+        target = `/${this.#domain}${target.charAt(0) == '/' ? '' : '/'}${target}`;
+      }
+      const queryIndex = req.originalUrl.indexOf('?');
+      if (preserveQuery && queryIndex != -1) {
+        const query = req.originalUrl.substring(queryIndex + 1);
+        target += `${target.includes('?') ? '&' : '?'}${query}`;
+      }
+      return { target, status, rewrite: !!rewrite && !isAbsolute };
+    }
+    return null;
+  }
+
+  /**
+   * @function #initAccess
+   * @returns {void}
+   * @description If "access" is set, requires a login for every request to the
+   * site, before any other site handler, so index.html, static resources, and
+   * endpoints are all protected. Users are read from "access.users" and the
+   * htpasswd-style file in the site's directory. .well-known and "exempt"
+   * paths (e.g., health checks) pass through.
+   */
+  #initAccess() {
+    if (!this.#access) return;
+    const {
+      type,
+      realm,
+      htpasswd,
+      secret,
+      cookieName,
+      maxAge
+    } = this.#access;
+    const users = {
+      ...readHtpasswd(join(process.cwd(), this.#sitesDir, this.#domain, htpasswd)),
+      ...this.#access.users
+    };
+    const isUser = (username, password) => {
+      return Object.hasOwn(users, username) && verifyPassword(users[username], password);
+    };
+
+    this.#router.use((req, res, next) => {
+      const sitePath = this.#sitePath(req);
+      if (this.#isAccessExempt(sitePath)) {
+        return next();
+      }
+      const basePath = req.siteMatch == 'pathPrefix' ? `/${this.#domain}` : '';
+
+      if (type == 'basic') {
+        const [ scheme, encoded ] = (req.get('authorization') || '').split(' ');
+        if (scheme?.toLowerCase() == 'basic' && encoded) {
+          const credentials = Buffer.from(encoded, 'base64').toString();
+          const index = credentials.indexOf(':');
+          const username = credentials.substring(0, index);
+          if (index != -1 && isUser(username, credentials.substring(index + 1))) {
+            req.accessUser = username;
+            return next();
+          }
+        }
+        res.set('WWW-Authenticate', `Basic realm="${realm}", charset="UTF-8"`);
+        return this.#sendError(req, res, 401);
+      }
+
+      const sendLoginPage = (redirect, hasError) => {
+        res.status(401).type('html').send(loginPage({
+          action: `${basePath}/_login`,
+          redirect,
+          hasError
+        }));
+      };
+
+      if (sitePath == '/_login' && req.method == 'POST') {
+        return express.urlencoded({ extended: false })(req, res, error => {
+          if (error) return next(error);
+          const { username = '', password = '', redirect = '' } = req.body || {};
+          const target = /^\/(?![/\\])/.test(redirect) ? redirect : `${basePath}/`;
+          if (!isUser(username, password)) {
+            return sendLoginPage(target, true);
+          }
+          const expires = Date.now() + maxAge * 1000;
+          res.cookie(cookieName, sign(`${encodeURIComponent(username)}|${expires}`, secret), {
+            path: basePath || '/',
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            maxAge: maxAge * 1000
+          });
+          res.redirect(303, target);
+        });
+      }
+
+      const value = unsign(parseCookies(req.get('cookie'))[cookieName], secret);
+      if (value) {
+        const [ username, expires ] = value.split('|');
+        if (Object.hasOwn(users, decodeURIComponent(username)) && Number(expires) > Date.now()) {
+          req.accessUser = decodeURIComponent(username);
+          return next();
+        }
+      }
+      if (!this.#isApiPath(req) && [ 'GET', 'HEAD' ].includes(req.method)) {
+        sendLoginPage(req.originalUrl, false);
+      } else {
+        this.#sendError(req, res, 401);
+      }
+    });
+  }
+
+  /**
+   * @function #maintenanceSettings
+   * @returns {object|null}
+   * @description Returns the maintenance settings if maintenance mode is on,
+   * from "setMaintenance" or else from the "MAINTENANCE" file in the site's
+   * directory. The file is checked at most once per second.
+   */
+  #maintenanceSettings() {
+    if (this.#maintenance.enabled) return this.#maintenance;
+    const now = Date.now();
+    if (now - this.#maintenanceFile.checkedAt >= 1000) {
+      const path = join(process.cwd(), this.#sitesDir, this.#domain, 'MAINTENANCE');
+      let settings = null;
+      if (existsSync(path)) {
+        settings = { retryAfter: 3600, allowIps: [] };
+        try {
+          const content = readFileSync(path, 'utf8').trim();
+          if (content) Object.assign(settings, JSON.parse(content));
+        } catch {
+          // An empty or non-JSON file turns maintenance mode on with defaults.
+        }
+      }
+      this.#maintenanceFile = { checkedAt: now, settings };
+    }
+    return this.#maintenanceFile.settings;
+  }
+
+  /**
+   * @function #isAccessExempt
+   * @param {string} sitePath The request path without the "/{domain}" prefix
+   * @returns {boolean} Whether the path is not protected by "access"
+   * @description The path is normalized first, so ".." segments cannot lead
+   * out of an exempt path (e.g., "/.well-known/../index.html").
+   */
+  #isAccessExempt(sitePath) {
+    const path = posix.normalize(sitePath);
+    return [ '/.well-known', ...this.#access.exempt ]
+      .map(exempt => `/${exempt.replace(/^\/+|\/+$/g, '')}`)
+      .some(exempt => path == exempt || path.startsWith(`${exempt}/`));
+  }
+
+  /**
+   * @function #initMaintenance
+   * @returns {void}
+   * @description Returns a 503 with a "Retry-After" header for every request
+   * while maintenance mode is on, before any other site handler, so nothing
+   * else is served. .well-known requests (e.g., ACME challenges) and requests
+   * from "allowIps" pass through.
+   */
+  #initMaintenance() {
+    this.#router.use((req, res, next) => {
+      const settings = this.#maintenanceSettings();
+      if (!settings) return next();
+      const ip = (req.ip || '').replace(/^::ffff:/, '');
+      if (
+        this.#sitePath(req).startsWith('/.well-known/')
+        || (settings.allowIps || []).includes(ip)
+      ) {
+        return next();
+      }
+      req.siteStage = 'maintenance';
+      const { retryAfter } = settings;
+      res.set('Retry-After', retryAfter instanceof Date
+        ? retryAfter.toUTCString()
+        : `${retryAfter}`);
+      res.set('Cache-Control', 'no-store');
+      const pagePath = join(this.publicDir, 'maintenance.html');
+      if (!this.#isApiPath(req) && existsSync(pagePath)) {
+        res.status(503).sendFile(pagePath);
+      } else {
+        this.#sendError(req, res, 503);
+      }
+    });
+  }
+
+  /**
+   * @function #initContentSecurityPolicy
+   * @returns {void}
+   * @description If "csp" is set, then generates a nonce for each request,
+   * exposes it to middleware and endpoints as "res.locals.cspNonce", and sets
+   * the Content-Security-Policy header, or Content-Security-Policy-Report-Only
+   * if "reportOnly" is true, with the nonce allowed in "script-src" and
+   * "style-src".
+   */
+  #initContentSecurityPolicy() {
+    if (!this.#csp) return;
+    this.#router.use((req, res, next) => {
+      const nonce = createNonce();
+      res.locals.cspNonce = nonce;
+      res.set(
+        this.#csp.reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy',
+        buildPolicy(this.#csp.directives, nonce)
+      );
+      next();
+    });
+  }
+
+  /**
+   * @function #initMiddleware
+   * @returns {void}
+   * @description Defines site-specific middleware on the router before
+   * registering the endpoints, so the middleware is called before the
+   * endpoints, because the endpoints are intended to be the last middleware the
+   * request passes through before sending the response.
+   */
+  #initMiddleware() {
+    registerMiddleware({
+      app: this.#router,
+      middleware: this.#middleware.map(middleware => ({
+        ...middleware,
+        handler: this.#forwardRejection(middleware.handler, (req, res, next) => next)
+      })),
+      isProd: this.#isProd,
+      isMultiSite: this.#isMultiSite,
+      domain: this.#domain
+    });
+  }
+
+  /**
+   * @function #initStaticPath
+   * @returns {void}
+   * @description Sets the site's static path to "/static" and
+   * "/{domain}/static", the latter for loading on localhost, and serves the
+   * resource from the site's public directory, compressed if "compression" is
+   * set. Each of "assetPrefixes" is served the same way from its directory in
+   * the public directory (e.g., "/assets/app.css" from "public/assets").
+   */
+  #initStaticPath() {
+    this.#staticMounts(this.publicDir).forEach(({ mountPath, dir, prefix }) => {
+      const serveStatic = express.static(dir);
+      this.#router.use(mountPath, async (req, res, next) => {
+        const path = join(dir, req.path);
+        if (!existsSync(path)) {
+          this.#sendError(req, res, 404);
+          return;
+        }
+        req.siteStage = 'static';
+        this.#setCacheControl(res, `/${prefix}${req.path}`);
+        try {
+          if (!this.#compression || !(await this.#sendCompressedFile(req, res, path))) {
+            serveStatic(req, res, next);
+          }
+        } catch(error) {
+          next(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * @function #staticMounts
+   * @param {string} publicDir The public directory
+   * @returns {object[]} { mountPath, dir, prefix }
+   * @description Returns the paths static resources are served at, with and
+   * without the "/{domain}" prefix, and the directories they are served from.
+   * "/static" is served from the public directory itself.
+   */
+  #staticMounts(publicDir) {
+    return this.#assetPrefixes.flatMap(assetPrefix => {
+      const prefix = assetPrefix.replace(/^\/+|\/+$/g, '');
+      const dir = prefix == 'static' ? publicDir : join(publicDir, prefix);
+      return [ `/${prefix}`, `/${this.#domain}/${prefix}` ].map(mountPath => ({ mountPath, dir, prefix }));
+    });
+  }
+
+  /**
+   * @function #setCacheControl
+   * @param {object} res The Express response
+   * @param {string} path The resource path relative to the site (e.g.,
+   * "/static/app.js" or "/index.html")
+   * @returns {void}
+   * @description Sets the Cache-Control header from the first "cache" policy
+   * matching the path, or to "no-store" if "cache" is false.
+   */
+  #setCacheControl(res, path) {
+    const policy = cachePolicy(this.#cachePolicies, path);
+    if (policy) res.set('Cache-Control', policy);
+  }
+
+  /**
+   * @function #sendCompressedFile
+   * @param {object} req The Express request
+   * @param {object} res The Express response
+   * @param {string} path The absolute path to the file
+   * @returns {Promise<boolean>} Whether a compressed response was sent
+   * @description Sends the file's precompressed sibling (e.g., app.js.br or
+   * app.js.gz) in an encoding the client accepts, if it exists. Otherwise, if
+   * the file is compressible and at least "threshold" bytes, then it is
+   * compressed and cached until it changes.
+   */
+  async #sendCompressedFile(req, res, path) {
+    if (!path.startsWith(`${this.publicDir}${sep}`)) return false;
+    const stat = statSync(path);
+    if (!stat.isFile()) return false;
+    const { precompressed, dynamic, threshold, encodings } = this.#compression;
+    const type = express.static.mime.lookup(path);
+
+    if (precompressed) {
+      const available = encodings.filter(encoding => existsSync(`${path}${EXTENSIONS[encoding]}`));
+      if (available.length) res.vary('Accept-Encoding');
+      const encoding = negotiateEncoding(req, available);
+      if (encoding) {
+        res.set('Content-Type', type);
+        res.set('Content-Encoding', encoding);
+        res.sendFile(`${path}${EXTENSIONS[encoding]}`);
+        return true;
+      }
+    }
+
+    if (!dynamic || !isCompressible(type) || stat.size < threshold) return false;
+    res.vary('Accept-Encoding');
+    const encoding = negotiateEncoding(req, encodings);
+    if (!encoding) return false;
+    const key = `${path}|${stat.mtimeMs}|${encoding}`;
+    let body = this.#compressedFiles.get(key);
+    if (!body) {
+      body = await compress(readFileSync(path), encoding);
+      this.#cacheCompressedFile(key, body);
+    }
+    res.set('Content-Type', type);
+    res.set('Content-Encoding', encoding);
+    res.set('ETag', `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}-${encoding}"`);
+    res.set('Last-Modified', stat.mtime.toUTCString());
+    if (req.fresh) {
+      res.status(304).end();
+    } else {
+      res.send(body);
+    }
+    return true;
+  }
+
+  /**
+   * @function #initCommonResources
+   * @returns {void}
+   * @description Returns common resources requested at the root path (e.g.,
+   * sitemap.xml, robots.txt, .well-known/*, and "rootResources") with their
+   * content types. If the site has no sitemap.xml or robots.txt file, then one
+   * is generated.
+   */
+  #initCommonResources() {
+    this.#router.use((req, res, next) => {
+      const pathParts = [ ...req.pathParts ];
+      if (pathParts[0] == this.#domain) {
+        pathParts.shift();
+      }
+      if (this.#rootResources.includes(pathParts[0])) {
+        req.siteStage = 'commonResource';
+        const resourcePath = pathParts.join('/');
+        const path = this.#rootResourcePath(this.publicDir, pathParts);
+        if (path && existsSync(path) && statSync(path).isFile()) {
+          this.#setCacheControl(res, `/${resourcePath}`);
+          res.setHeader('content-type', this.#resourceType(resourcePath));
+          res.sendFile(path);
+        } else if (
+          pathParts.length == 1
+          && [ 'sitemap.xml', 'robots.txt' ].includes(pathParts[0])
+        ) {
+          this.#setCacheControl(res, `/${pathParts[0]}`);
+          this.#sendGeneratedResource(req, res, pathParts[0]).catch(next);
+        } else {
+          this.#sendError(req, res, 404);
+        }
+      } else {
+        next();
+      }
+    });
+  }
+
+  /**
+   * @function #rootResourcePath
+   * @param {string} publicDir The public directory
+   * @param {string[]} pathParts The resource path parts relative to the public
+   * directory (e.g., [".well-known", "assetlinks.json"])
+   * @returns {string|null} The absolute path to the resource, or null if the
+   * path leaves the root resource's directory (e.g., with ".." segments)
+   */
+  #rootResourcePath(publicDir, pathParts) {
+    const root = resolve(publicDir, pathParts[0]);
+    const path = resolve(publicDir, pathParts.join('/'));
+    return path == root || path.startsWith(`${root}${sep}`) ? path : null;
+  }
+
+  /**
+   * @function #resourceType
+   * @param {string} resourcePath The resource path relative to the public
+   * directory (e.g., ".well-known/apple-app-site-association")
+   * @returns {string}
+   * @description Returns the content type for the resource from "mimeTypes",
+   * by resource path and then by extension, or else from its extension. Files
+   * without an extension (e.g., ACME challenge tokens) default to text/plain.
+   */
+  #resourceType(resourcePath) {
+    const extension = extname(resourcePath).toLowerCase();
+    return this.#mimeTypes[resourcePath]
+      || (extension && this.#mimeTypes[extension])
+      || (extension ? express.static.mime.lookup(resourcePath) : 'text/plain');
+  }
+
+  /**
+   * @function #sendGeneratedResource
+   * @param {object} req The Express request
+   * @param {object} res The Express response
+   * @param {string} name "sitemap.xml" or "robots.txt"
+   * @returns {Promise<void>}
+   * @description Sends the generated resource. The sitemap's routes are
+   * collected on the first request after load or "refresh" and cached, and
+   * the URLs are built from the site's base URL on each request.
+   */
+  async #sendGeneratedResource(req, res, name) {
+    const baseUrl = this.#baseUrl(req);
+    if (name == 'robots.txt') {
+      res.type('text/plain');
+      res.send(this.#generateRobots(baseUrl));
+      return;
+    }
+    if (!this.#sitemapRoutes) {
+      this.#sitemapRoutes = await this.#collectSitemapRoutes();
+    }
+    res.type('application/xml');
+    res.send(this.#generateSitemap(baseUrl, this.#sitemapRoutes));
+  }
+
+  /**
+   * @function #baseUrl
+   * @param {object} req The Express request
+   * @returns {string}
+   * @description Returns the site's base URL for absolute URLs in generated
+   * resources. Sites matched by hostname or as the default site use
+   * "canonicalHost" or the domain rather than the Host header, which the
+   * client controls. Sites matched by path prefix (e.g.,
+   * http://localhost/{domain}) use the Host header, because the domain is not
+   * the host.
+   */
+  #baseUrl(req) {
+    return req.siteMatch == 'pathPrefix'
+      ? `${req.protocol}://${req.get('host')}/${this.#domain}`
+      : `${req.protocol}://${this.#canonicalHost || this.#domain}`;
+  }
+
+  /**
+   * @function #collectSitemapRoutes
+   * @returns {Promise<(string|object)[]>}
+   * @description Collects the sitemap's routes from the paths of the site's
+   * GET endpoints that are not under "apiBasePath" and have no parameters,
+   * plus "routes" and the routes returned by "sitemap". A route is a path or
+   * { path, lastmod?, changefreq?, priority? }.
+   */
+  async #collectSitemapRoutes() {
+    const endpointRoutes = this.#endpoints
+      .map(({ path }) => path.split(' '))
+      .filter(([ method ]) => method.toUpperCase() == 'GET')
+      .map(([ , path ]) => path.charAt(0) == '/' ? path : `/${path}`)
+      .filter(path => {
+        return !/[:*?()+]/.test(path)
+          && path != this.#apiBasePath
+          && !path.startsWith(`${this.#apiBasePath}/`);
+      });
+    return [
+      '/',
+      ...endpointRoutes,
+      ...this.#routes,
+      ...(this.#sitemap ? (await this.#sitemap()) || [] : [])
+    ];
+  }
+
+  /**
+   * @function #generateSitemap
+   * @param {string} baseUrl The site's base URL
+   * @param {(string|object)[]} routes The sitemap's routes
+   * @returns {string}
+   */
+  #generateSitemap(baseUrl, routes) {
+    const escapeXml = value => `${value}`
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+    const seen = new Set();
+    const urls = routes
+      .map(route => typeof route == 'string' ? { path: route } : route)
+      .filter(({ path }) => !seen.has(path) && seen.add(path))
+      .map(({ path, lastmod, changefreq, priority }) => {
+        const loc = `${baseUrl}${path.charAt(0) == '/' ? path : `/${path}`}`;
+        return [
+          '  <url>',
+          `    <loc>${escapeXml(loc)}</loc>`,
+          lastmod && `    <lastmod>${escapeXml(lastmod instanceof Date ? lastmod.toISOString() : lastmod)}</lastmod>`,
+          changefreq && `    <changefreq>${escapeXml(changefreq)}</changefreq>`,
+          priority !== undefined && `    <priority>${escapeXml(priority)}</priority>`,
+          '  </url>'
+        ].filter(Boolean).join('\n');
+      });
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...urls,
+      '</urlset>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * @function #generateRobots
+   * @param {string} baseUrl The site's base URL
+   * @returns {string}
+   * @description Generates robots.txt. When not in production, all paths are
+   * disallowed, so staging sites are not indexed.
+   */
+  #generateRobots(baseUrl) {
+    if (!this.#isProd) {
+      return 'User-agent: *\nDisallow: /\n';
+    }
+    return `User-agent: *\nAllow: /\n\nSitemap: ${baseUrl}/sitemap.xml\n`;
+  }
+
+  /**
+   * @function #endpointPath
+   * @param {string} path The endpoint path (e.g., "GET /api/path-1")
+   * @returns {string[]} [ method, path ]
+   * @description Returns the method and the path at which
+   * @sempervirens/endpoint registerEndpoints registers the endpoint.
+   */
+  #endpointPath(path) {
+    const [ method, p1 ] = path.split(' ');
+    const p2 = p1.charAt(0) == '/' ? p1 : `/${p1}`;
+    return [
+      method.toUpperCase(),
+      this.#isProd || !this.#isMultiSite ? p2 : `/${this.#domain}${p2}`
+    ];
+  }
+
+  /**
+   * @function #compileEndpointRoutes
+   * @returns {void}
+   * @description Compiles the endpoint paths once, with the same path-to-regexp
+   * rules and options Express uses for routes, into a lookup of the methods
+   * allowed on each path. Paths without parameters or wildcards are looked up
+   * directly rather than matched.
+   */
+  #compileEndpointRoutes() {
+    this.#literalRoutes = new Map();
+    this.#patternRoutes = new Map();
+    this.#routeLabels = new Map();
+    this.#corsPolicies = new Map();
+    this.#rateLimitPolicies = new Map();
+    this.#endpoints.forEach(endpoint => {
+      const { path: p1 } = endpoint;
+      const [ method, path ] = this.#endpointPath(p1);
+      const methods = method == 'GET' ? [ 'GET', 'HEAD' ] : [ method ];
+      const label = `${method} /${p1.split(' ')[1].replace(/^\/+/, '')}`;
+      const key = /[:*?()+]/.test(path) ? path : path.toLowerCase().replace(/\/+$/, '') || '/';
+      if (!this.#routeLabels.has(key)) {
+        this.#routeLabels.set(key, new Map());
+      }
+      methods.forEach(m => {
+        if (!this.#routeLabels.get(key).has(m)) this.#routeLabels.get(key).set(m, label);
+      });
+      if (!this.#corsPolicies.has(label)) {
+        this.#corsPolicies.set(label, this.#endpointCorsPolicy(endpoint));
+        this.#rateLimitPolicies.set(label, this.#endpointRateLimit(endpoint, label));
+      }
+      if (/[:*?()+]/.test(path)) {
+        if (!this.#patternRoutes.has(path)) {
+          this.#patternRoutes.set(path, {
+            regexp: pathToRegexp(path, [], { sensitive: false, strict: false, end: true }),
+            methods: new Set()
+          });
+        }
+        methods.forEach(m => this.#patternRoutes.get(path).methods.add(m));
+      } else {
+        if (!this.#literalRoutes.has(key)) {
+          this.#literalRoutes.set(key, new Set());
+        }
+        methods.forEach(m => this.#literalRoutes.get(key).add(m));
+      }
+    });
+  }
+
+  /**
+   * @function #allowedMethods
+   * @param {string} path The request path
+   * @returns {Set<string>|null}
+   * @description Returns the methods of the endpoints matching the path, or
+   * null if no endpoint matches the path.
+   */
+  #allowedMethods(path) {
+    const key = path.toLowerCase().replace(/\/+$/, '') || '/';
+    let methods = this.#literalRoutes.get(key);
+    for (const { regexp, methods: patternMethods } of this.#patternRoutes.values()) {
+      if (regexp.test(path)) {
+        methods = new Set([ ...(methods || []), ...patternMethods ]);
+      }
+    }
+    return methods || null;
+  }
+
+  /**
+   * @function #endpointRoute
+   * @param {string} path The request path
+   * @param {string} method The request method
+   * @returns {string} The declared path of the endpoint handling the request
+   * (e.g., "GET /api/users/:id"), or "" if none
+   */
+  #endpointRoute(path, method) {
+    const labels = this.#routeLabels.get(path.toLowerCase().replace(/\/+$/, '') || '/');
+    const label = labels?.get(method) || labels?.get('ALL');
+    if (label) return label;
+    for (const [ key, { regexp } ] of this.#patternRoutes) {
+      if (regexp.test(path)) {
+        const patternLabels = this.#routeLabels.get(key);
+        const patternLabel = patternLabels.get(method) || patternLabels.get('ALL');
+        if (patternLabel) return patternLabel;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * @function #sitePath
+   * @param {object} req The Express request
+   * @returns {string}
+   * @description Returns the request path without the "/{domain}" prefix used
+   * on localhost.
+   */
+  #sitePath(req) {
+    return req.pathParts[0] == this.#domain
+      ? `/${req.pathParts.slice(1).join('/')}`
+      : `/${req.pathParts.join('/')}`;
+  }
+
+  /**
+   * @function #isApiPath
+   * @param {object} req The Express request
+   * @returns {boolean}
+   * @description Whether the request path, without the "/{domain}" prefix used
+   * on localhost, is at or under "apiBasePath".
+   */
+  #isApiPath(req) {
+    const path = this.#sitePath(req);
+    return path == this.#apiBasePath || path.startsWith(`${this.#apiBasePath}/`);
+  }
+
+  /**
+   * @function #initEndpointValidation
+   * @returns {void}
+   * @description If the request path does not match any endpoint and is under
+   * "apiBasePath" (e.g., /api), then a 404 is returned. If the request path
+   * under "apiBasePath" matches an endpoint but the method does not, then a
+   * 405 is returned with the "Allow" header. Other paths are passed on, so a
+   * GET request to the path of a non-API endpoint (e.g., a form's POST) is
+   * served index.html by the catch-all.
+   */
+  #initEndpointValidation() {
+    this.#router.use((req, res, next) => {
+      const methods = this.#allowedMethods(req.path);
+      if (methods && (
+        methods.has(req.method)
+        || methods.has('ALL')
+        || req.method == 'OPTIONS'
+      )) {
+        req.siteStage = 'endpoint';
+        if (this.#metrics) req.siteRoute = this.#endpointRoute(req.path, req.method);
+        next();
+      } else if (!this.#isApiPath(req)) {
+        next();
+      } else if (methods) {
+        req.siteStage = 'endpoint';
+        res.set('Allow', [ ...methods ].join(', '));
+        this.#sendError(req, res, 405);
+      } else {
+        this.#sendError(req, res, 404);
+      }
+    });
+  }
+
+  /**
+   * @function #compileCors
+   * @param {boolean|object} cors The "cors" option, or an endpoint's "cors"
+   * @returns {object}
+   */
+  #compileCors(cors) {
+    const policy = {
+      origins: '*',
+      methods: null,
+      headers: null,
+      exposedHeaders: [],
+      credentials: false,
+      maxAge: 600,
+      ...(cors === true ? {} : cors)
+    };
+    return { ...policy, isAllowed: compileOrigins(policy.origins) };
+  }
+
+  /**
+   * @function #endpointCorsPolicy
+   * @param {object} endpoint The endpoint
+   * @returns {object|null} The site's CORS policy with the endpoint's "cors"
+   * merged in, or null if CORS is off for the endpoint
+   */
+  #endpointCorsPolicy({ cors }) {
+    if (cors === undefined || cors === true && this.#corsPolicy) return this.#corsPolicy;
+    if (!cors) return null;
+    return this.#compileCors({
+      ...(this.#cors && this.#cors !== true ? this.#cors : {}),
+      ...(cors === true ? {} : cors)
+    });
+  }
+
+  /**
+   * @function #initCors
+   * @returns {void}
+   * @description If "cors" is set on the site or any endpoint, then sets the
+   * CORS headers for allowed origins on responses to the endpoints' paths and
+   * under "apiBasePath", and answers preflight requests to the endpoints'
+   * paths with a 204. A preflight allows the methods of the endpoints declared
+   * on the path, unless "methods" is given. Each endpoint's "cors" is merged
+   * into the site's, and "false" turns CORS off for the endpoint. It runs
+   * before the other stages, so their responses (e.g., a 401, 405, or 429)
+   * are readable by the client too, and preflights are not rejected by them.
+   */
+  #initCors() {
+    if (!this.#corsPolicy && !this.#endpoints.some(({ cors }) => cors)) return;
+    this.#router.use((req, res, next) => {
+      const allowedMethods = this.#allowedMethods(req.path);
+      if (!allowedMethods && !this.#isApiPath(req)) return next();
+      const requestMethod = req.get('access-control-request-method');
+      const isPreflight = req.method == 'OPTIONS' && !!requestMethod && !!req.get('origin');
+      const route = this.#endpointRoute(req.path, isPreflight ? requestMethod.toUpperCase() : req.method);
+      const policy = route ? this.#corsPolicies.get(route) : this.#corsPolicy;
+      if (!policy) return next();
+      if (!isPreflight || !allowedMethods) {
+        setCorsHeaders(req, res, policy);
+        return next();
+      }
+      req.siteStage = 'endpoint';
+      if (this.#metrics) req.siteRoute = route;
+      const methods = policy.methods || [ ...allowedMethods ].flatMap(method => {
+        return method == 'ALL' ? [ 'GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE' ] : [ method ];
+      });
+      setCorsHeaders(req, res, policy, [ ...new Set(methods) ]);
+      res.status(204).end();
+    });
+  }
+
+  /**
+   * @function #rewriteAssetPaths
+   * @param {string} html The HTML document
+   * @returns {string}
+   * @description Rewrites the HTML's asset URLs beginning with one of the
+   * asset prefixes (e.g., "/static") to "/{domain}/{prefix}" for loading on
+   * localhost.
+   */
+  #rewriteAssetPaths(html) {
+    return rewriteAssetPaths(html, {
+      domain: this.#domain,
+      prefixes: this.#assetPrefixes
+    });
+  }
+
+  /**
+   * @function #initEndpointAssetPaths
+   * @returns {void}
+   * @description When not in production, rewrites the asset paths in HTML sent
+   * by the site's endpoints (e.g., SSR pages), as is done for index.html.
+   */
+  #initEndpointAssetPaths() {
+    if (this.#isProd) return;
+    this.#router.use((req, res, next) => {
+      if (req.siteStage == 'endpoint') {
+        const send = res.send;
+        res.send = body => {
+          const type = res.get('Content-Type');
+          if (typeof body == 'string' && (!type || type.includes('html'))) {
+            body = this.#rewriteAssetPaths(body);
+          }
+          return send.call(res, body);
+        };
+      }
+      next();
     });
   }
 
@@ -232,12 +2377,15 @@ class SiteLoader {
    * @function #initEndpoints
    * @returns {void}
    * @description Uses @sempervirens/endpoint registerEndpoints to load the
-   * endpoints onto the app.
+   * endpoints onto the router.
    */
   #initEndpoints() {
     registerEndpoints({
-      app: this.#app,
-      endpoints: this.#endpoints,
+      app: this.#router,
+      endpoints: this.#endpoints.map(endpoint => ({
+        ...endpoint,
+        handler: this.#forwardRejection(endpoint.handler, ({ req }) => req.next)
+      })),
       data: this.#data,
       isProd: this.#isProd,
       isMultiSite: this.#isMultiSite,
@@ -245,34 +2393,313 @@ class SiteLoader {
     });
   }
 
+  /**
+   * @function #forwardRejection
+   * @param {function} handler An endpoint or middleware handler
+   * @param {function} getNext Returns "next" from the handler's arguments
+   * @returns {function}
+   * @description Wraps a function handler so a rejected promise it returns
+   * (e.g., from an async handler that throws) is passed to "next" and handled
+   * by the site's error handler, like an error thrown synchronously, rather
+   * than leaving the request without a response. Classes are returned as they
+   * are.
+   */
+  #forwardRejection(handler, getNext) {
+    if (handler.toString().substring(0, 5) == 'class') return handler;
+    return (...args) => {
+      const result = handler(...args);
+      if (typeof result?.catch == 'function') result.catch(getNext(...args));
+    };
+  }
+
+  /**
+   * @function #readIndex
+   * @returns {object} { content, etag, lastModified }
+   * @description Returns the prepared index.html document from the cache,
+   * reading and preparing it on the first request after load or invalidation.
+   * "content" is null if index.html does not exist.
+   */
+  #readIndex() {
+    if (this.#indexCache) return this.#indexCache;
+    const indexPath = join(this.publicDir, 'index.html');
+    if (!existsSync(indexPath)) {
+      this.#indexCache = { content: null };
+      return this.#indexCache;
+    }
+    let content = readFileSync(indexPath, 'utf8');
+    if (!this.#isProd) {
+      content = this.#rewriteAssetPaths(content);
+    }
+    if (this.#template && !this.#meta) {
+      content = injectData(renderPlaceholders(content, this.#data), this.#templateData());
+    }
+    const hash = createHash('sha1').update(content).digest('base64').substring(0, 27);
+    this.#indexCache = {
+      content,
+      etag: `"${Buffer.byteLength(content).toString(16)}-${hash}"`,
+      lastModified: statSync(indexPath).mtime.toUTCString()
+    };
+    return this.#indexCache;
+  }
+
+  /**
+   * @function #initIndexWatcher
+   * @returns {void}
+   * @description When not in production, watches the site's public directory
+   * and invalidates the cached index.html document when it changes. In
+   * production, "refresh" is called instead (e.g., after a deploy).
+   */
+  #initIndexWatcher() {
+    if (this.#isProd || !existsSync(this.publicDir)) return;
+    try {
+      this.#watcher = watch(this.publicDir, { persistent: false }, (event, filename) => {
+        if (!filename || filename == 'index.html') {
+          this.#indexCache = null;
+        }
+      });
+      this.#watcher.on('error', () => this.#watcher.close());
+    } catch {
+      this.#watcher = null;
+    }
+  }
+
+  /**
+   * @function #templateData
+   * @returns {object}
+   * @description Returns the site data injected into index.html as
+   * "window.__SITE_DATA__", which is all of "data" or only the "dataKeys"
+   * given in "template".
+   */
+  #templateData() {
+    const { dataKeys } = this.#template;
+    if (!Array.isArray(dataKeys)) return this.#data;
+    return dataKeys.reduce((data, key) => {
+      if (key in this.#data) data[key] = this.#data[key];
+      return data;
+    }, {});
+  }
+
+  /**
+   * @function #renderIndex
+   * @param {object} req The Express request
+   * @param {string} content The prepared index.html document
+   * @returns {Promise<string>}
+   * @description Renders the route-specific tags returned by "meta" into the
+   * document, and, if "template" is set, the placeholders with the "meta"
+   * values taking precedence over "data". The data is injected after the
+   * placeholders are rendered, so placeholders in its values are left as they
+   * are.
+   */
+  async #renderIndex(req, content) {
+    const values = (await this.#meta(req)) || {};
+    content = renderMeta(content, values);
+    if (this.#template) {
+      content = renderPlaceholders(content, { ...this.#data, ...values });
+      content = injectData(content, this.#templateData());
+    }
+    return content;
+  }
+
+  /**
+   * @function #closeWatcher
+   * @returns {void}
+   * @description Stops watching the site's public directory, if watched.
+   */
+  #closeWatcher() {
+    this.#watcher?.close();
+    this.#watcher = null;
+  }
+
   /**
    * @function #initCatchAll
    * @returns {void}
    * @description For each site that does not have "siteRoutes" defined, a
    * catch-all GET route is defined. It defined in the request chain after the
-   * static route and endpoints, and it returns index.html.
+   * static route and endpoints, and it returns index.html with "ETag" and
+   * "Last-Modified" headers, or a 304 if the client's copy is fresh. If "meta"
+   * or "csp" is given, then the document is rendered for each request, with
+   * the request's nonce set on every script and style element.
    */
   #initCatchAll() {
-    this.#app.get('*', (req, res, next) => {
-      if (req.isSite) {
-        const indexPath = join(this.publicDir, 'index.html');
-        if (existsSync(indexPath)) {
-          let indexContent = readFileSync(indexPath, 'utf8');
-          if (!this.#isProd) {
-            indexContent = indexContent
-              .replace(new RegExp(`${this.#domain}/static`, 'gi'), 'static')
-              .replace(/static/g, `${this.#domain}/static`);
-          }
-          res.send(indexContent);
-        } else {
-          res.status(404).send();
+    this.#initIndexWatcher();
+    this.#router.get('*', async (req, res, next) => {
+      const index = this.#readIndex();
+      const { content, etag, lastModified } = index;
+      if (content === null) {
+        this.#sendError(req, res, 404);
+        return;
+      }
+      req.siteStage = 'catchAll';
+      this.#setCacheControl(res, '/index.html');
+      if (this.#meta || this.#csp) {
+        try {
+          let html = this.#meta ? await this.#renderIndex(req, content) : content;
+          if (this.#csp) html = injectNonce(html, res.locals.cspNonce);
+          await this.#sendHtml(res, html, this.#htmlEncoding(req, html));
+        } catch(error) {
+          next(error);
         }
+        return;
+      }
+      const encoding = this.#htmlEncoding(req, content);
+      res.set('ETag', encoding ? etag.replace(/"$/, `-${encoding}"`) : etag);
+      res.set('Last-Modified', lastModified);
+      if (req.fresh) {
+        res.status(304).end();
+        return;
+      }
+      try {
+        await this.#sendHtml(res, content, encoding, index);
+      } catch(error) {
+        next(error);
+      }
+    });
+  }
+
+  /**
+   * @function #cacheCompressedFile
+   * @param {string} key The file's path, mtime, and encoding
+   * @param {Buffer} body The compressed file
+   * @returns {void}
+   * @description Caches the compressed file, dropping the oldest files while
+   * there are more than COMPRESSED_FILES_MAX or their total size is more than
+   * COMPRESSED_FILES_MAX_BYTES. A file larger than that is not cached.
+   */
+  #cacheCompressedFile(key, body) {
+    if (body.length > COMPRESSED_FILES_MAX_BYTES || this.#compressedFiles.has(key)) return;
+    this.#compressedFiles.set(key, body);
+    this.#compressedBytes += body.length;
+    while (
+      this.#compressedFiles.size > COMPRESSED_FILES_MAX
+      || this.#compressedBytes > COMPRESSED_FILES_MAX_BYTES
+    ) {
+      const [ oldestKey, oldestBody ] = this.#compressedFiles.entries().next().value;
+      this.#compressedFiles.delete(oldestKey);
+      this.#compressedBytes -= oldestBody.length;
+    }
+  }
+
+  /**
+   * @function #htmlEncoding
+   * @param {object} req The Express request
+   * @param {string} html The HTML document
+   * @returns {string|null}
+   * @description Returns the encoding to compress the HTML document with, or
+   * null if "compression" is not set, the document is smaller than
+   * "threshold", or the client does not accept any of the encodings.
+   */
+  #htmlEncoding(req, html) {
+    if (!this.#compression?.dynamic || Buffer.byteLength(html) < this.#compression.threshold) {
+      return null;
+    }
+    req.res.vary('Accept-Encoding');
+    return negotiateEncoding(req, this.#compression.encodings);
+  }
+
+  /**
+   * @function #sendHtml
+   * @param {object} res The Express response
+   * @param {string} html The HTML document
+   * @param {string|null} encoding The encoding to compress the document with
+   * @param {object} cache An object to cache the compressed document on, if
+   * the document is the same for every request
+   * @returns {Promise<void>}
+   */
+  async #sendHtml(res, html, encoding, cache = null) {
+    if (!encoding) {
+      res.send(html);
+      return;
+    }
+    let body = cache?.compressed?.[encoding];
+    if (!body) {
+      body = await compress(html, encoding);
+      if (cache) cache.compressed = { ...cache.compressed, [encoding]: body };
+    }
+    res.set('Content-Encoding', encoding);
+    res.type('html');
+    res.send(body);
+  }
+
+  /**
+   * @function #initErrorHandler
+   * @returns {void}
+   * @description Defines the site's error-handling middleware, after all of
+   * the site's other handlers, so an error thrown or passed to "next" by the
+   * site's middleware or endpoints is reported to "onError" and returned as
+   * the site's error response rather than Express's default error page.
+   */
+  #initErrorHandler() {
+    this.#router.use((error, req, res, next) => {
+      const status = error.status || error.statusCode;
+      const errorStatus = status >= 400 && status < 600 ? status : 500;
+      if (this.#onError) {
+        try {
+          this.#onError({ error, req, res, domain: this.#domain });
+        } catch(onErrorError) {
+          console.error(onErrorError);
+        }
+      } else if (errorStatus >= 500) {
+        console.error(error);
+      }
+      if (res.headersSent) {
+        next(error);
       } else {
-        next();
+        this.#sendError(req, res, errorStatus);
       }
     });
   }
 
+  /**
+   * @function #sendError
+   * @param {object} req The Express request
+   * @param {object} res The Express response
+   * @param {number} status The HTTP status code
+   * @returns {void}
+   * @description Sends an error response. Requests under "apiBasePath" get a
+   * JSON body. Other requests get "{status}.html" (e.g., 404.html) from the
+   * site's public directory, if it exists, or an empty body.
+   */
+  #sendError(req, res, status) {
+    if (status == 404) req.siteStage = '404';
+    res.status(status);
+    if (this.#isApiPath(req)) {
+      res.json({ error: { status, message: STATUS_CODES[status] } });
+      return;
+    }
+    const pagePath = join(this.publicDir, `${status}.html`);
+    if (existsSync(pagePath)) {
+      res.sendFile(pagePath);
+    } else {
+      res.send();
+    }
+  }
+
+  /**
+   * @function #initDispatch
+   * @returns {void}
+   * @description Registers the site's router with the app's dispatcher, which
+   * matches the request to a site by hostname or path prefix once and passes
+   * it to that site's router only. On reload, the site's previous router is
+   * replaced.
+   */
+  #initDispatch() {
+    const router = this.#worker.#router;
+    const site = {
+      domain: this.#domain,
+      aliases: this.#aliases,
+      isDefault: !this.#isMultiSite,
+      loader: this,
+      handle: (req, res, next) => router(req, res, next)
+    };
+    const dispatcher = SiteDispatcher.for(this.#app);
+    if (this.#site) {
+      dispatcher.replace(this.#site, site);
+    } else {
+      dispatcher.add(site);
+    }
+    this.#site = site;
+  }
+
 }
 
-export default SiteLoader;
\ No newline at end of file
+export default SiteLoader;
@@ -1,10 +1,18 @@
 import { expect } from 'chai';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { gzipSync } from 'zlib';
+import { execFileSync } from 'child_process';
+import { get as httpGet } from 'http';
+import { createServer } from 'https';
+import { connect } from 'tls';
+import { join, relative } from 'path';
 import express from 'express';
 import superagent from 'superagent';
 import { startServer, stopAllServers } from '@sempervirens/tools';
 import { RequestHandler } from '@sempervirens/endpoint';
 
-import SiteLoader from '../index.js';
+import SiteLoader, { RateLimitStore } from '../index.js';
 
 class Test1RequestHandler extends RequestHandler {
   constructor({ req, res, data, isSecure }) {
@@ -34,6 +42,25 @@ class Test3RequestHandler extends RequestHandler {
   }
 }
 
+// Creates a temporary sites directory with the given directories in it, which
+// is removed after the tests of the describe block it is created in.
+const createSitesDir = (dirs = []) => {
+  const sitesDir = relative(process.cwd(), mkdtempSync(join(tmpdir(), 'site-loader-')));
+  dirs.forEach(dir => mkdirSync(join(sitesDir, dir), { recursive: true }));
+  after(() => rmSync(sitesDir, { recursive: true, force: true }));
+  return sitesDir;
+};
+
+// Sends a GET request with the path as is, because superagent removes ".."
+// segments.
+const getRaw = (host, port, path) => new Promise((resolve, reject) => {
+  httpGet({ host, port, path }, res => {
+    let text = '';
+    res.on('data', chunk => text += chunk);
+    res.on('end', () => resolve({ status: res.statusCode, text }));
+  }).on('error', reject);
+});
+
 describe('1. SiteLoader', () => {
 
   describe('1.1. When parameters are not valid', () => {
@@ -581,6 +608,2038 @@ describe('1. SiteLoader', () => {
 
   });
 
+  describe('1.10. When sites are loaded with "loadAll"', () => {
+
+    const app = express();
+    let siteLoaders;
+    before(async () => {
+      siteLoaders = await SiteLoader.loadAll(app, { sitesDir: 'sites' });
+      startServer({ app, port: 8093 });
+    });
+
+    it('1.10.1. Should load a SiteLoader for each directory in "sitesDir"', () => {
+      expect(siteLoaders.length).to.equal(2);
+      expect(siteLoaders.map(({ publicDir }) => publicDir.split('/').slice(-2)[0]))
+        .to.deep.equal(['site-1', 'site-2']);
+    });
+
+    it('1.10.2. Should make each site available at http://localhost/{domain}', async () => {
+      const { text: t1 } = await superagent.get('http://localhost:8093/site-1');
+      expect(t1).to.include('<title>Site 1</title>');
+      const { text: t2 } = await superagent.get('http://localhost:8093/site-2');
+      expect(t2).to.include('<title>Site 2</title>');
+    });
+
+    describe('1.10.3. When the site has "site.config.json"', () => {
+      it('1.10.3.1. Should load the endpoints with handlers imported from the given paths', async () => {
+        const { body } = await superagent.get('http://localhost:8093/site-1/api/config-1');
+        expect(body).to.deep.equal({ site: 'site-1', data: { prop1: 'val1' } });
+      });
+    });
+
+    describe('1.10.4. When the site has "site.config.js"', () => {
+      it('1.10.4.1. Should load the endpoints from the default export', async () => {
+        const { body } = await superagent.get('http://localhost:8093/site-2/api/config-1');
+        expect(body).to.deep.equal({ site: 'site-2', data: { prop1: 'val2' } });
+      });
+    });
+
+    describe('1.10.5. When "sitesDir" does not exist', () => {
+      it('1.10.5.1. Should throw an error', async () => {
+        try {
+          await SiteLoader.loadAll(express(), { sitesDir: 'sites-1' });
+          expect.fail('Expected an error');
+        } catch(error) {
+          expect(error.message).to.include('does not exist');
+        }
+      });
+    });
+
+  });
+
+  describe('1.11. When the number of loaded sites grows', () => {
+
+    const sitesDir = createSitesDir([
+      'site-1/public',
+      ...Array.from({ length: 500 }, (_, i) => `bench-site-${i}/public`)
+    ]);
+    const createApp = (siteCount, port) => {
+      const app = express();
+      for (let i = 0; i < siteCount; i++) {
+        new SiteLoader({
+          domain: `bench-site-${i}`,
+          sitesDir,
+          isMultiSite: true,
+          endpoints: [{ path: 'GET /api/bench', handler: ({ res }) => res.send('Bench') }],
+          middleware: [{ handler: (req, res, next) => next() }]
+        }).load(app);
+      }
+      new SiteLoader({
+        domain: 'site-1',
+        sitesDir,
+        isMultiSite: true,
+        endpoints: [{ path: 'GET /api/bench', handler: ({ res }) => res.send('Success 1') }]
+      }).load(app);
+      startServer({ app, port });
+    };
+    createApp(1, 8094);
+    createApp(500, 8095);
+
+    const measure = async (url, count) => {
+      for (let i = 0; i < 20; i++) await superagent.get(url);
+      const start = process.hrtime.bigint();
+      for (let i = 0; i < count; i++) await superagent.get(url);
+      return Number(process.hrtime.bigint() - start) / count / 1e6;
+    };
+
+    it('1.11.1. Should keep request latency flat', async function() {
+      this.timeout(20000);
+      const few = await measure('http://localhost:8094/site-1/api/bench', 200);
+      const many = await measure('http://localhost:8095/site-1/api/bench', 200);
+      expect(many).to.be.below(few * 1.5 + 0.5);
+    });
+
+  });
+
+  describe('1.12. When matching the request hostname', () => {
+
+    const app = express();
+    new SiteLoader({
+      domain: 'site-1',
+      isMultiSite: true,
+      aliases: ['www.site-1.com', '*.site-1.net']
+    }).load(app);
+    new SiteLoader({
+      domain: 'site-2',
+      isMultiSite: true,
+      aliases: ['www.site-2.com'],
+      canonicalHost: true
+    }).load(app);
+    startServer({ app, port: 8096 });
+
+    const get = (host, path = '/') => superagent
+      .get(`http://localhost:8096${path}`)
+      .set('Host', `${host}:8096`)
+      .redirects(0)
+      .ok(() => true);
+
+    it('1.12.1. Should not match a hostname that only contains the domain', async () => {
+      const { status: s1 } = await get('my-site-1.com');
+      expect(s1).to.equal(404);
+      const { status: s2 } = await get('site-1.evil.net');
+      expect(s2).to.equal(404);
+    });
+
+    it('1.12.2. Should match an alias', async () => {
+      const { text } = await get('www.site-1.com');
+      expect(text).to.include('<title>Site 1</title>');
+    });
+
+    describe('1.12.3. When the alias is a wildcard', () => {
+
+      it('1.12.3.1. Should match a subdomain', async () => {
+        const { text } = await get('a.b.site-1.net');
+        expect(text).to.include('<title>Site 1</title>');
+      });
+
+      it('1.12.3.2. Should not match the apex domain', async () => {
+        const { status } = await get('site-1.net');
+        expect(status).to.equal(404);
+      });
+
+    });
+
+    describe('1.12.4. When "canonicalHost" is set', () => {
+
+      it('1.12.4.1. Should redirect an alias to the canonical host with the path and query', async () => {
+        const { status, headers } = await get('www.site-2.com', '/path-1?prop1=val1');
+        expect(status).to.equal(301);
+        expect(headers.location).to.equal('http://site-2:8096/path-1?prop1=val1');
+      });
+
+      it('1.12.4.2. Should not redirect the canonical host', async () => {
+        const { status, text } = await get('site-2');
+        expect(status).to.equal(200);
+        expect(text).to.include('<title>Site 2</title>');
+      });
+
+      it('1.12.4.3. Should not redirect http://localhost/{domain}', async () => {
+        const { status, text } = await get('localhost', '/site-2');
+        expect(status).to.equal(200);
+        expect(text).to.include('<title>Site 2</title>');
+      });
+
+    });
+
+    describe('1.12.5. When "canonicalHost" is not the domain or an alias', () => {
+      it('1.12.5.1. Should throw an error', () => {
+        expect(() => new SiteLoader({ domain: 'site-1', canonicalHost: 'site-2' }))
+          .to.throw('"canonicalHost" "site-2" must be the domain or one of the aliases.');
+      });
+    });
+
+  });
+
+  describe('1.13. When validating API endpoint paths', () => {
+
+    const app = express();
+    new SiteLoader({
+      domain: 'site-1',
+      endpoints: [
+        { path: 'GET /api/test-1', handler: Test1RequestHandler },
+        { path: 'POST /api/test-1', handler: Test1RequestHandler },
+        { path: 'GET /api/users/:id/posts', handler: Test2RequestHandler },
+        { path: 'GET /test-2', handler: Test2RequestHandler },
+        { path: 'POST /contact', handler: Test1RequestHandler }
+      ]
+    }).load(app);
+    startServer({ app, port: 8097 });
+
+    const request = (method, path) => superagent(method, `http://site-1:8097${path}`).ok(() => true);
+
+    it('1.13.1. Should return a 404 if the path only begins with an endpoint path', async () => {
+      const { status } = await request('GET', '/api/test-1-anything');
+      expect(status).to.equal(404);
+    });
+
+    it('1.13.2. Should match endpoint paths with parameters', async () => {
+      const { status, text } = await request('GET', '/api/users/1/posts');
+      expect(status).to.equal(200);
+      expect(text).to.equal('Success 2');
+      const { status: status2 } = await request('GET', '/api/users/1');
+      expect(status2).to.equal(404);
+    });
+
+    describe('1.13.3. When the path exists but the method does not', () => {
+
+      it('1.13.3.1. Should return a 405 with the "Allow" header', async () => {
+        const { status, headers } = await request('DELETE', '/api/test-1');
+        expect(status).to.equal(405);
+        expect(headers.allow).to.equal('GET, HEAD, POST');
+      });
+
+      it('1.13.3.2. Should return index.html for a GET request to a non-API endpoint', async () => {
+        const { status, headers, text } = await request('GET', '/contact');
+        expect(status).to.equal(200);
+        expect(headers.allow).to.be.undefined;
+        expect(text).to.include('<title>Site 1</title>');
+      });
+
+    });
+
+    it('1.13.4. Should return index.html for a non-API path that is not an endpoint', async () => {
+      const { status, text } = await request('GET', '/test-3');
+      expect(status).to.equal(200);
+      expect(text).to.include('<title>Site 1</title>');
+    });
+
+  });
+
+  describe('1.14. When an error occurs', () => {
+
+    const app = express();
+    const errors = [];
+    const throwError = () => {
+      throw new Error('Test error');
+    };
+    const rejectError = async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      throw new Error('Test error');
+    };
+    new SiteLoader({
+      domain: 'site-1',
+      isMultiSite: true
+    }).load(app);
+    new SiteLoader({
+      domain: 'site-2',
+      isMultiSite: true,
+      isProd: false,
+      endpoints: [
+        { path: 'GET /api/error', handler: throwError },
+        { path: 'GET /error', handler: throwError },
+        { path: 'GET /async-error', handler: rejectError }
+      ],
+      middleware: [
+        { path: 'GET /async-middleware-error', handler: rejectError }
+      ],
+      onError: ({ error, domain }) => errors.push({ message: error.message, domain })
+    }).load(app);
+    startServer({ app, port: 8098 });
+
+    const get = path => superagent.get(`http://localhost:8098${path}`).ok(() => true);
+
+    describe('1.14.1. When the site has {status}.html', () => {
+
+      it('1.14.1.1. Should return 404.html for a missing static resource', async () => {
+        const { status, text } = await get('/site-2/static/styles-1.css');
+        expect(status).to.equal(404);
+        expect(text).to.include('<title>Not Found - Site 2</title>');
+      });
+
+      it('1.14.1.2. Should return 500.html when an endpoint throws an error', async () => {
+        const { status, text } = await get('/site-2/error');
+        expect(status).to.equal(500);
+        expect(text).to.include('<title>Server Error - Site 2</title>');
+      });
+
+      it('1.14.1.3. Should return 500.html when an async endpoint throws an error', async () => {
+        const { status, text } = await get('/site-2/async-error');
+        expect(status).to.equal(500);
+        expect(text).to.include('<title>Server Error - Site 2</title>');
+      });
+
+      it('1.14.1.4. Should return 500.html when async middleware throws an error', async () => {
+        const { status, text } = await get('/site-2/async-middleware-error');
+        expect(status).to.equal(500);
+        expect(text).to.include('<title>Server Error - Site 2</title>');
+      });
+
+    });
+
+    describe('1.14.2. When the site does not have {status}.html', () => {
+      it('1.14.2.1. Should return an empty body', async () => {
+        const { status, text } = await get('/site-1/static/styles-1.css');
+        expect(status).to.equal(404);
+        expect(text).to.equal('');
+      });
+    });
+
+    describe('1.14.3. When the path is under "apiBasePath"', () => {
+
+      it('1.14.3.1. Should return a JSON error for a missing endpoint', async () => {
+        const { status, body } = await get('/site-2/api/missing');
+        expect(status).to.equal(404);
+        expect(body).to.deep.equal({ error: { status: 404, message: 'Not Found' } });
+      });
+
+      it('1.14.3.2. Should return a JSON error when an endpoint throws an error', async () => {
+        const { status, body } = await get('/site-2/api/error');
+        expect(status).to.equal(500);
+        expect(body).to.deep.equal({ error: { status: 500, message: 'Internal Server Error' } });
+      });
+
+    });
+
+    it('1.14.4. Should call "onError" with the error', async () => {
+      errors.length = 0;
+      await get('/site-2/error');
+      expect(errors).to.deep.equal([{ message: 'Test error', domain: 'site-2' }]);
+    });
+
+  });
+
+  describe('1.15. When index.html is requested', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public', 'site-1/dist' ]);
+    const writeIndex = (dir, title) => {
+      writeFileSync(join(sitesDir, 'site-1', dir, 'index.html'), `<title>${title}</title>`);
+    };
+    writeIndex('public', 'Dev 1');
+    writeIndex('dist', 'Prod 1');
+
+    const devApp = express();
+    new SiteLoader({ domain: 'site-1', sitesDir }).load(devApp);
+    startServer({ app: devApp, port: 8099 });
+    const prodApp = express();
+    const prodSiteLoader = new SiteLoader({ domain: 'site-1', sitesDir, isProd: true });
+    prodSiteLoader.load(prodApp);
+    startServer({ app: prodApp, port: 8100 });
+
+    it('1.15.1. Should return "ETag" and "Last-Modified" headers', async () => {
+      const { headers } = await superagent.get('http://site-1:8100');
+      expect(headers.etag).to.match(/^"[0-9a-f]+-.+"$/);
+      expect(headers['last-modified']).to.exist;
+    });
+
+    it('1.15.2. Should return a 304 when the client has a fresh copy', async () => {
+      const { headers } = await superagent.get('http://site-1:8100');
+      const { status: s1 } = await superagent
+        .get('http://site-1:8100/page-1')
+        .set('If-None-Match', headers.etag)
+        .ok(() => true);
+      expect(s1).to.equal(304);
+      const { status: s2 } = await superagent
+        .get('http://site-1:8100/page-1')
+        .set('If-Modified-Since', headers['last-modified'])
+        .ok(() => true);
+      expect(s2).to.equal(304);
+    });
+
+    describe('1.15.3. When index.html changes in production', () => {
+
+      it('1.15.3.1. Should return the cached index.html', async () => {
+        await superagent.get('http://site-1:8100');
+        writeIndex('dist', 'Prod 2');
+        const { text } = await superagent.get('http://site-1:8100');
+        expect(text).to.include('Prod 1');
+      });
+
+      it('1.15.3.2. Should return the new index.html after "refresh" is called', async () => {
+        prodSiteLoader.refresh();
+        const { text } = await superagent.get('http://site-1:8100');
+        expect(text).to.include('Prod 2');
+      });
+
+    });
+
+    describe('1.15.4. When index.html changes in development', () => {
+      it('1.15.4.1. Should return the new index.html', async () => {
+        const { text: t1 } = await superagent.get('http://site-1:8099');
+        expect(t1).to.include('Dev 1');
+        writeIndex('public', 'Dev 2');
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const { text: t2 } = await superagent.get('http://site-1:8099');
+        expect(t2).to.include('Dev 2');
+      });
+    });
+
+  });
+
+  describe('1.16. When asset paths are rewritten in development', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public/assets' ]);
+    const html = [
+      '<html><head>',
+      '<link rel="stylesheet" href="/static/styles.css">',
+      '<script type="importmap">{ "imports": { "app": "/static/app.js" } }</script>',
+      '<style>.hero { background: url("/static/hero.png"); }</style>',
+      '</head><body class="static-banner">',
+      '<h1>Static Site Generator</h1>',
+      '<!-- <img src="/static/comment.png"> -->',
+      '<img src="static/logo.png" srcset="/static/logo-1x.png 1x, /static/logo-2x.png 2x">',
+      '<video poster=/static/poster.jpg></video>',
+      '<div style="background-image: url(\'/assets/bg.png\')"></div>',
+      '<a href="/static-page">Static page</a>',
+      '<a href="/site-1/static/already.css">Already</a>',
+      '<script>const path = "/static/inline.js";</script>',
+      '</body></html>'
+    ].join('');
+    writeFileSync(join(sitesDir, 'site-1', 'public', 'index.html'), html);
+    writeFileSync(join(sitesDir, 'site-1', 'public', 'styles.css'), 'body {}');
+    writeFileSync(join(sitesDir, 'site-1', 'public', 'assets', 'bg.png'), 'png');
+
+    const app = express();
+    new SiteLoader({
+      domain: 'site-1',
+      sitesDir,
+      isMultiSite: true,
+      assetPrefixes: ['assets'],
+      endpoints: [
+        { path: 'GET /page-1', handler: ({ res }) => res.send(html) },
+        { path: 'GET /api/test-1', handler: ({ res }) => res.json({ path: '/static/app.js' }) }
+      ]
+    }).load(app);
+    startServer({ app, port: 8101 });
+
+    const expectRewritten = text => {
+      expect(text).to.include('href="/site-1/static/styles.css"');
+      expect(text).to.include('"app": "/site-1/static/app.js"');
+      expect(text).to.include('url("/site-1/static/hero.png")');
+      expect(text).to.include('src="/site-1/static/logo.png"');
+      expect(text).to.include('srcset="/site-1/static/logo-1x.png 1x, /site-1/static/logo-2x.png 2x"');
+      expect(text).to.include('poster=/site-1/static/poster.jpg');
+      expect(text).to.include("url('/site-1/assets/bg.png')");
+      expect(text).to.include('href="/site-1/static/already.css"');
+    };
+
+    const expectNotRewritten = text => {
+      expect(text).to.include('class="static-banner"');
+      expect(text).to.include('<h1>Static Site Generator</h1>');
+      expect(text).to.include('<img src="/static/comment.png">');
+      expect(text).to.include('href="/static-page"');
+      expect(text).to.include('const path = "/static/inline.js";');
+    };
+
+    describe('1.16.1. When index.html is returned', () => {
+
+      it('1.16.1.1. Should rewrite URL-bearing attributes, CSS url(), and import maps', async () => {
+        const { text } = await superagent.get('http://localhost:8101/site-1');
+        expectRewritten(text);
+      });
+
+      it('1.16.1.2. Should not rewrite text, class names, comments, or scripts', async () => {
+        const { text } = await superagent.get('http://localhost:8101/site-1');
+        expectNotRewritten(text);
+      });
+
+    });
+
+    describe('1.16.2. When HTML is returned by an endpoint', () => {
+      it('1.16.2.1. Should rewrite the asset paths', async () => {
+        const { text } = await superagent.get('http://localhost:8101/site-1/page-1');
+        expectRewritten(text);
+        expectNotRewritten(text);
+      });
+    });
+
+    describe('1.16.3. When JSON is returned by an endpoint', () => {
+      it('1.16.3.1. Should not rewrite the asset paths', async () => {
+        const { body } = await superagent.get('http://localhost:8101/site-1/api/test-1');
+        expect(body).to.deep.equal({ path: '/static/app.js' });
+      });
+    });
+
+    describe('1.16.4. When a rewritten asset is requested', () => {
+      it('1.16.4.1. Should serve it from the public directory', async () => {
+        const { text } = await superagent.get('http://localhost:8101/site-1/static/styles.css');
+        expect(text).to.equal('body {}');
+        const { status, headers, body } = await superagent.get('http://localhost:8101/site-1/assets/bg.png').buffer(true);
+        expect(status).to.equal(200);
+        expect(headers['content-type']).to.equal('image/png');
+        expect(body.toString()).to.equal('png');
+      });
+
+      it('1.16.4.2. Should return a 404 rather than index.html for a missing asset', async () => {
+        const { status } = await superagent.get('http://localhost:8101/site-1/assets/none.png').ok(() => true);
+        expect(status).to.equal(404);
+      });
+    });
+
+  });
+
+  describe('1.17. When index.html is rendered as a template', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public', 'site-2/public' ]);
+    writeFileSync(join(sitesDir, 'site-1', 'public', 'index.html'), [
+      '<html><head>',
+      '<title>Site 1</title>',
+      '<meta name="description" content="Default description">',
+      '</head><body>',
+      '<h1>{{title}}</h1><p>{{description}}</p><p>{{unknown}}</p>',
+      '</body></html>'
+    ].join(''));
+    writeFileSync(
+      join(sitesDir, 'site-2', 'public', 'index.html'),
+      '<html><head><title>{{title}}</title></head><body></body></html>'
+    );
+
+    const app = express();
+    new SiteLoader({
+      domain: 'site-1',
+      sitesDir,
+      isMultiSite: true,
+      data: { title: 'Site 1', description: 'About <Site 1>', tagline: 'Docs for {{title}}', secret: 'secret-1' },
+      template: { dataKeys: ['title', 'description', 'tagline'] },
+      meta: req => req.path.endsWith('/post-1') && {
+        title: 'Post 1',
+        description: 'Post 1 description',
+        image: 'http://site-1/static/post-1.png',
+        canonical: 'http://site-1/post-1'
+      }
+    }).load(app);
+    new SiteLoader({
+      domain: 'site-2',
+      sitesDir,
+      isMultiSite: true,
+      data: { title: 'Site 2', message: '</script><script>alert(1)</script>', dir: 'C:\\dir', tagline: 'Docs for {{dir}}' },
+      template: true
+    }).load(app);
+    startServer({ app, port: 8102 });
+
+    describe('1.17.1. When "template" is set', () => {
+
+      it('1.17.1.1. Should inject the data as "window.__SITE_DATA__"', async () => {
+        const { text } = await superagent.get('http://localhost:8102/site-2');
+        expect(text).to.include([
+          '<script>window.__SITE_DATA__ = {"title":"Site 2",',
+          '"message":"\\u003c/script\\u003e\\u003cscript\\u003ealert(1)\\u003c/script\\u003e",',
+          '"dir":"C:\\\\dir","tagline":"Docs for {{dir}}"};</script></head>'
+        ].join(''));
+      });
+
+      it('1.17.1.2. Should substitute placeholders with the data', async () => {
+        const { text } = await superagent.get('http://localhost:8102/site-2');
+        expect(text).to.include('<title>Site 2</title>');
+      });
+
+      it('1.17.1.3. Should only inject "dataKeys" when given', async () => {
+        const { text } = await superagent.get('http://localhost:8102/site-1');
+        expect(text).to.include('window.__SITE_DATA__ = {"title":"Site 1","description":"About \\u003cSite 1\\u003e","tagline":"Docs for {{title}}"}');
+        expect(text).not.to.include('secret-1');
+      });
+
+      it('1.17.1.4. Should leave unknown placeholders as they are', async () => {
+        const { text } = await superagent.get('http://localhost:8102/site-1');
+        expect(text).to.include('<h1>Site 1</h1><p>About &lt;Site 1&gt;</p><p>{{unknown}}</p>');
+      });
+
+    });
+
+    describe('1.17.2. When "meta" is given', () => {
+
+      it('1.17.2.1. Should render the route-specific title, Open Graph, and canonical tags', async () => {
+        const { text } = await superagent.get('http://localhost:8102/site-1/blog/post-1');
+        expect(text).to.include('<title>Post 1</title>');
+        expect(text).to.include('<meta name="description" content="Post 1 description">');
+        expect(text).not.to.include('Default description');
+        expect(text).to.include('<meta property="og:title" content="Post 1">');
+        expect(text).to.include('<meta property="og:image" content="http://site-1/static/post-1.png">');
+        expect(text).to.include('<meta property="og:url" content="http://site-1/post-1">');
+        expect(text).to.include('<link rel="canonical" href="http://site-1/post-1">');
+      });
+
+      it('1.17.2.2. Should substitute placeholders with the "meta" values before "data"', async () => {
+        const { text } = await superagent.get('http://localhost:8102/site-1/blog/post-1');
+        expect(text).to.include('<h1>Post 1</h1><p>Post 1 description</p>');
+      });
+
+      it('1.17.2.3. Should not substitute placeholders in the injected data', async () => {
+        const { text } = await superagent.get('http://localhost:8102/site-1/blog/post-1');
+        expect(text).to.include('"tagline":"Docs for {{title}}"');
+      });
+
+      it('1.17.2.4. Should leave the document as it is when "meta" returns nothing', async () => {
+        const { text } = await superagent.get('http://localhost:8102/site-1/blog');
+        expect(text).to.include('<title>Site 1</title>');
+        expect(text).to.include('<meta name="description" content="Default description">');
+      });
+
+    });
+
+  });
+
+  describe('1.18. When the site has no sitemap.xml or robots.txt file', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public', 'site-1/dist' ]);
+    writeFileSync(join(sitesDir, 'site-1', 'dist', 'index.html'), '<title>site-1</title>');
+    let sitemapCalls = 0;
+    const options = {
+      domain: 'site-1',
+      sitesDir,
+      endpoints: [
+        { path: 'GET /page-1', handler: Test1RequestHandler },
+        { path: 'GET /posts/:slug', handler: Test1RequestHandler },
+        { path: 'POST /page-2', handler: Test1RequestHandler },
+        { path: 'GET /api/test-1', handler: Test1RequestHandler }
+      ],
+      routes: ['/about', { path: '/contact', changefreq: 'monthly', priority: 0.5 }],
+      sitemap: async () => {
+        sitemapCalls++;
+        return ['/posts/post-1?a=1&b=2'];
+      }
+    };
+
+    const devApp = express();
+    new SiteLoader({ ...options, isMultiSite: true }).load(devApp);
+    startServer({ app: devApp, port: 8103 });
+    const prodApp = express();
+    const prodSiteLoader = new SiteLoader({ ...options, isProd: true });
+    prodSiteLoader.load(prodApp);
+    startServer({ app: prodApp, port: 8104 });
+
+    describe('1.18.1. When sitemap.xml is requested', () => {
+
+      it('1.18.1.1. Should return a generated sitemap as XML', async () => {
+        const { headers, text } = await superagent.get('http://site-1:8104/sitemap.xml').buffer(true);
+        expect(headers['content-type']).to.include('application/xml');
+        expect(text).to.include('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+        expect(text).to.include('<loc>http://site-1/</loc>');
+        expect(text).to.include('<loc>http://site-1/page-1</loc>');
+        expect(text).to.include('<loc>http://site-1/about</loc>');
+        expect(text).to.include('<loc>http://site-1/contact</loc>\n    <changefreq>monthly</changefreq>\n    <priority>0.5</priority>');
+        expect(text).to.include('<loc>http://site-1/posts/post-1?a=1&amp;b=2</loc>');
+      });
+
+      it('1.18.1.2. Should not include API, non-GET, or parameterized endpoints', async () => {
+        const { text } = await superagent.get('http://site-1:8104/sitemap.xml').buffer(true);
+        expect(text).not.to.include('/api/test-1');
+        expect(text).not.to.include('/page-2');
+        expect(text).not.to.include(':slug');
+      });
+
+      it('1.18.1.3. Should include the domain in the URLs at http://localhost/{domain}', async () => {
+        const { text } = await superagent.get('http://localhost:8103/site-1/sitemap.xml').buffer(true);
+        expect(text).to.include('<loc>http://localhost:8103/site-1/page-1</loc>');
+      });
+
+      it('1.18.1.4. Should cache the sitemap until "refresh" is called', async () => {
+        sitemapCalls = 0;
+        await superagent.get('http://site-1:8104/sitemap.xml');
+        expect(sitemapCalls).to.equal(0);
+        prodSiteLoader.refresh();
+        await superagent.get('http://site-1:8104/sitemap.xml');
+        await superagent.get('http://site-1:8104/sitemap.xml');
+        expect(sitemapCalls).to.equal(1);
+      });
+
+      it('1.18.1.5. Should build the URLs from the domain rather than the Host header', async () => {
+        sitemapCalls = 0;
+        prodSiteLoader.refresh();
+        for (const host of [ 'evil-1.test', 'evil-2.test', 'evil-3.test' ]) {
+          const { text } = await superagent.get('http://localhost:8104/sitemap.xml').set('Host', host).buffer(true);
+          expect(text).to.include('<loc>http://site-1/page-1</loc>');
+          expect(text).not.to.include('evil');
+          const robots = await superagent.get('http://localhost:8104/robots.txt').set('Host', host);
+          expect(robots.text).to.include('Sitemap: http://site-1/sitemap.xml');
+        }
+        expect(sitemapCalls).to.equal(1);
+      });
+
+    });
+
+    describe('1.18.2. When robots.txt is requested', () => {
+
+      it('1.18.2.1. Should disallow all paths when not in production', async () => {
+        const { headers, text } = await superagent.get('http://localhost:8103/site-1/robots.txt');
+        expect(headers['content-type']).to.include('text/plain');
+        expect(text).to.equal('User-agent: *\nDisallow: /\n');
+      });
+
+      it('1.18.2.2. Should allow all paths and link the sitemap in production', async () => {
+        const { text } = await superagent.get('http://site-1:8104/robots.txt');
+        expect(text).to.equal('User-agent: *\nAllow: /\n\nSitemap: http://site-1/sitemap.xml\n');
+      });
+
+    });
+
+  });
+
+  describe('1.19. When a root resource is requested', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public/.well-known' ]);
+    const publicDir = join(sitesDir, 'site-1', 'public');
+    writeFileSync(join(publicDir, 'sitemap.xml'), '<urlset></urlset>');
+    writeFileSync(join(publicDir, '.well-known', 'apple-app-site-association'), '{}');
+    writeFileSync(join(publicDir, '.well-known', 'assetlinks'), '[]');
+    writeFileSync(join(publicDir, 'manifest.webmanifest'), '{}');
+    writeFileSync(join(publicDir, 'ads.txt'), 'ads');
+    writeFileSync(join(publicDir, 'humans.txt'), 'humans');
+    writeFileSync(join(sitesDir, 'site-1', 'secret.txt'), 'secret');
+
+    const app = express();
+    new SiteLoader({
+      domain: 'site-1',
+      sitesDir,
+      rootResources: ['manifest.webmanifest', '/ads.txt'],
+      mimeTypes: { '.well-known/assetlinks': 'application/json' }
+    }).load(app);
+    startServer({ app, port: 8105 });
+
+    const get = path => superagent.get(`http://site-1:8105${path}`).buffer(true).ok(() => true);
+
+    it('1.19.1. Should return sitemap.xml as XML', async () => {
+      const { headers } = await get('/sitemap.xml');
+      expect(headers['content-type']).to.include('application/xml');
+    });
+
+    it('1.19.2. Should return known .well-known resources without an extension as JSON', async () => {
+      const { headers } = await get('/.well-known/apple-app-site-association');
+      expect(headers['content-type']).to.include('application/json');
+    });
+
+    it('1.19.3. Should return a resource with the type given in "mimeTypes"', async () => {
+      const { headers } = await get('/.well-known/assetlinks');
+      expect(headers['content-type']).to.include('application/json');
+    });
+
+    describe('1.19.4. When "rootResources" is given', () => {
+
+      it('1.19.4.1. Should return the resources with their types', async () => {
+        const { headers: h1 } = await get('/manifest.webmanifest');
+        expect(h1['content-type']).to.include('application/manifest+json');
+        const { headers: h2, text } = await get('/ads.txt');
+        expect(h2['content-type']).to.include('text/plain');
+        expect(text).to.equal('ads');
+      });
+
+      it('1.19.4.2. Should not return other files at the public root', async () => {
+        const { status } = await get('/humans.txt');
+        expect(status).to.equal(404);
+      });
+
+    });
+
+    it('1.19.5. Should not return files outside the root resource with ".." segments', async () => {
+      const secret = await getRaw('site-1', 8105, '/.well-known/../../secret.txt');
+      expect(secret.status).to.equal(404);
+      expect(secret.text).not.to.equal('secret');
+      expect((await getRaw('site-1', 8105, '/.well-known/../humans.txt')).status).to.equal(404);
+      expect((await getRaw('site-1', 8105, '/.well-known/../.well-known/assetlinks')).text).to.equal('[]');
+
+    });
+
+  });
+
+  describe('1.20. When a site is unloaded or reloaded while the server is running', () => {
+
+    const app = express();
+    let releaseRequest;
+    let releaseMiddleware;
+    const siteLoader1 = new SiteLoader({
+      domain: 'site-1',
+      isMultiSite: true,
+      endpoints: [
+        {
+          path: 'GET /api/test-1',
+          handler: async ({ req, res }) => {
+            if (req.query.hold === 'handler') await new Promise(resolve => releaseRequest = resolve);
+            res.send('Old 1');
+          }
+        }
+      ],
+      middleware: [
+        {
+          path: 'GET /api/test-1',
+          handler: async (req, res, next) => {
+            if (req.query.hold === 'middleware') await new Promise(resolve => releaseMiddleware = resolve);
+            next();
+          }
+        }
+      ]
+    });
+    siteLoader1.load(app);
+    const siteLoader2 = new SiteLoader({ domain: 'site-2', isMultiSite: true });
+    siteLoader2.load(app);
+    startServer({ app, port: 8106 });
+
+    const get = path => superagent.get(`http://localhost:8106${path}`).ok(() => true);
+
+    describe('1.20.1. When "reload" is called', () => {
+
+      it('1.20.1.1. Should finish in-flight requests with the old configuration', async () => {
+        const inHandler = get('/site-1/api/test-1?hold=handler').then(res => res);
+        const inMiddleware = get('/site-1/api/test-1?hold=middleware').then(res => res);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        siteLoader1.reload({
+          endpoints: [{ path: 'GET /api/test-2', handler: ({ res }) => res.send('New 2') }],
+          middleware: []
+        });
+        releaseRequest();
+        releaseMiddleware();
+        expect((await inHandler).text).to.equal('Old 1');
+        expect((await inMiddleware).text).to.equal('Old 1');
+      });
+
+      it('1.20.1.2. Should handle subsequent requests with the new configuration', async () => {
+        const { text } = await get('/site-1/api/test-2');
+        expect(text).to.equal('New 2');
+        const { status } = await get('/site-1/api/test-1');
+        expect(status).to.equal(404);
+      });
+
+      it('1.20.1.3. Should keep the site as it was when the new options are not valid', async () => {
+        expect(() => siteLoader1.reload({ endpoints: [{ path: '/api/test-3' }] })).to.throw();
+        const { text } = await get('/site-1/api/test-2');
+        expect(text).to.equal('New 2');
+      });
+
+    });
+
+    describe('1.20.2. When "unload" is called', () => {
+
+      it('1.20.2.1. Should remove the site from the app', async () => {
+        siteLoader2.unload();
+        const { status, text } = await get('/site-2');
+        expect(status).to.equal(404);
+        expect(text).not.to.include('This is site-2.');
+      });
+
+      it('1.20.2.2. Should not affect the other sites', async () => {
+        const { text } = await get('/site-1');
+        expect(text).to.include('This is site-1.');
+      });
+
+    });
+
+    describe('1.20.3. When a site is loaded after the server starts', () => {
+      it('1.20.3.1. Should make the site available', async () => {
+        siteLoader2.load(app);
+        const { text } = await get('/site-2');
+        expect(text).to.include('This is site-2.');
+      });
+    });
+
+    describe('1.20.4. When "load" is called on a loaded site', () => {
+      it('1.20.4.1. Should throw an error', () => {
+        expect(() => siteLoader1.load(app)).to.throw('"site-1" is already loaded.');
+      });
+    });
+
+  });
+
+  describe('1.21. When a site is in maintenance mode', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public/.well-known', 'site-2/public/.well-known' ]);
+    ['site-1', 'site-2'].forEach(domain => {
+      const publicDir = join(sitesDir, domain, 'public');
+      writeFileSync(join(publicDir, 'index.html'), `<title>${domain}</title>`);
+      writeFileSync(join(publicDir, '.well-known', 'token'), 'token');
+    });
+    writeFileSync(join(sitesDir, 'site-1', 'public', 'maintenance.html'), '<title>Maintenance</title>');
+    writeFileSync(join(sitesDir, 'site-2', 'MAINTENANCE'), JSON.stringify({ retryAfter: 60 }));
+
+    const app = express();
+    const siteLoader1 = new SiteLoader({ domain: 'site-1', sitesDir, isMultiSite: true });
+    siteLoader1.load(app);
+    new SiteLoader({ domain: 'site-2', sitesDir, isMultiSite: true }).load(app);
+    startServer({ app, port: 8107 });
+
+    const get = path => superagent.get(`http://localhost:8107${path}`).ok(() => true);
+
+    describe('1.21.1. When "setMaintenance" is called', () => {
+
+      before(() => siteLoader1.setMaintenance({ retryAfter: 120 }));
+
+      it('1.21.1.1. Should return a 503 with "Retry-After" and maintenance.html', async () => {
+        const { status, headers, text } = await get('/site-1/page-1');
+        expect(status).to.equal(503);
+        expect(headers['retry-after']).to.equal('120');
+        expect(text).to.equal('<title>Maintenance</title>');
+      });
+
+      it('1.21.1.2. Should return a 503 for static resources', async () => {
+        const { status } = await get('/site-1/static/styles.css');
+        expect(status).to.equal(503);
+      });
+
+      it('1.21.1.3. Should return JSON under "apiBasePath"', async () => {
+        const { status, body } = await get('/site-1/api/test-1');
+        expect(status).to.equal(503);
+        expect(body).to.deep.equal({ error: { status: 503, message: 'Service Unavailable' } });
+      });
+
+      it('1.21.1.4. Should let .well-known requests through', async () => {
+        const { status, text } = await get('/site-1/.well-known/token');
+        expect(status).to.equal(200);
+        expect(text).to.equal('token');
+      });
+
+      it('1.21.1.5. Should let requests from "allowIps" through', async () => {
+        siteLoader1.setMaintenance({ allowIps: ['127.0.0.1'] });
+        const { status } = await get('/site-1/page-1');
+        expect(status).to.equal(200);
+      });
+
+      it('1.21.1.6. Should serve the site again when disabled', async () => {
+        siteLoader1.setMaintenance({ enabled: false });
+        const { status, text } = await get('/site-1/page-1');
+        expect(status).to.equal(200);
+        expect(text).to.equal('<title>site-1</title>');
+      });
+
+    });
+
+    describe('1.21.2. When a "MAINTENANCE" file is in the site directory', () => {
+
+      it('1.21.2.1. Should return a 503 with the settings in the file', async () => {
+        const { status, headers } = await get('/site-2/page-1');
+        expect(status).to.equal(503);
+        expect(headers['retry-after']).to.equal('60');
+      });
+
+      it('1.21.2.2. Should not affect other sites', async () => {
+        const { status } = await get('/site-1/page-1');
+        expect(status).to.equal(200);
+      });
+
+      it('1.21.2.3. Should serve the site again after the file is removed', async function() {
+        this.timeout(5000);
+        rmSync(join(sitesDir, 'site-2', 'MAINTENANCE'));
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        const { status } = await get('/site-2/page-1');
+        expect(status).to.equal(200);
+      });
+
+    });
+
+  });
+
+  describe('1.22. When "access" is set', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public/.well-known', 'site-2/public/.well-known' ]);
+    ['site-1', 'site-2'].forEach(domain => {
+      const publicDir = join(sitesDir, domain, 'public');
+      writeFileSync(join(publicDir, 'index.html'), `<title>${domain}</title>`);
+      writeFileSync(join(publicDir, 'styles.css'), `#${domain} {}`);
+      writeFileSync(join(publicDir, '.well-known', 'token'), 'token');
+    });
+    // "{SHA}" hash of "password-2"
+    writeFileSync(join(sitesDir, 'site-1', '.htpasswd'), [
+      '# Staging users',
+      'user-2:{SHA}K+BP0Sj0VdwUyD10/+Y1wazmyl0='
+    ].join('\n'));
+
+    const app = express();
+    new SiteLoader({
+      domain: 'site-1',
+      sitesDir,
+      isMultiSite: true,
+      endpoints: [
+        { path: 'GET /health', handler: ({ res }) => res.send('OK') },
+        { path: 'GET /api/test-1', handler: Test1RequestHandler }
+      ],
+      access: {
+        users: { 'user-1': 'password-1' },
+        exempt: ['/health']
+      }
+    }).load(app);
+    new SiteLoader({
+      domain: 'site-2',
+      sitesDir,
+      isMultiSite: true,
+      endpoints: [{ path: 'GET /api/test-1', handler: Test1RequestHandler }],
+      access: {
+        type: 'cookie',
+        users: { 'user-1': 'password-1' },
+        secret: 'secret-1'
+      }
+    }).load(app);
+    startServer({ app, port: 8108 });
+
+    const request = (method, path) => superagent(method, `http://localhost:8108${path}`)
+      .redirects(0)
+      .ok(() => true);
+
+    describe('1.22.1. When "type" is "basic"', () => {
+
+      it('1.22.1.1. Should return a 401 with "WWW-Authenticate" without credentials', async () => {
+        const { status, headers } = await request('GET', '/site-1');
+        expect(status).to.equal(401);
+        expect(headers['www-authenticate']).to.equal('Basic realm="Restricted", charset="UTF-8"');
+      });
+
+      it('1.22.1.2. Should protect static resources and endpoints', async () => {
+        const { status: s1 } = await request('GET', '/site-1/static/styles.css');
+        expect(s1).to.equal(401);
+        const { status: s2 } = await request('GET', '/site-1/api/test-1');
+        expect(s2).to.equal(401);
+      });
+
+      it('1.22.1.3. Should return a 401 with the wrong password', async () => {
+        const { status } = await request('GET', '/site-1').auth('user-1', 'password-2');
+        expect(status).to.equal(401);
+      });
+
+      it('1.22.1.4. Should return the site with the credentials in "users"', async () => {
+        const { status, text } = await request('GET', '/site-1/static/styles.css').auth('user-1', 'password-1');
+        expect(status).to.equal(200);
+        expect(text).to.equal('#site-1 {}');
+      });
+
+      it('1.22.1.5. Should return the site with the credentials in .htpasswd', async () => {
+        const { status, text } = await request('GET', '/site-1/api/test-1').auth('user-2', 'password-2');
+        expect(status).to.equal(200);
+        expect(text).to.equal('Success 1');
+      });
+
+      it('1.22.1.6. Should let .well-known and "exempt" paths through', async () => {
+        const { status: s1 } = await request('GET', '/site-1/.well-known/token');
+        expect(s1).to.equal(200);
+        const { text } = await request('GET', '/site-1/health');
+        expect(text).to.equal('OK');
+      });
+
+      it('1.22.1.7. Should not let paths that leave .well-known with ".." through', async () => {
+        const { status, text } = await getRaw('localhost', 8108, '/site-1/.well-known/../index.html');
+        expect(status).to.equal(401);
+        expect(text).not.to.contain('<title>site-1</title>');
+      });
+
+    });
+
+    describe('1.22.2. When "type" is "cookie"', () => {
+
+      it('1.22.2.1. Should return a login page without the cookie', async () => {
+        const { status, text } = await request('GET', '/site-2/page-1');
+        expect(status).to.equal(401);
+        expect(text).to.include('<form method="POST" action="/site-2/_login">');
+        expect(text).to.include('<input type="hidden" name="redirect" value="/site-2/page-1">');
+      });
+
+      it('1.22.2.2. Should return a JSON 401 under "apiBasePath"', async () => {
+        const { status, body } = await request('GET', '/site-2/api/test-1');
+        expect(status).to.equal(401);
+        expect(body).to.deep.equal({ error: { status: 401, message: 'Unauthorized' } });
+      });
+
+      it('1.22.2.3. Should return the login page with an error with the wrong password', async () => {
+        const { status, text } = await request('POST', '/site-2/_login')
+          .type('form')
+          .send({ username: 'user-1', password: 'password-2', redirect: '/site-2/page-1' });
+        expect(status).to.equal(401);
+        expect(text).to.include('The username or password is not correct.');
+      });
+
+      it('1.22.2.4. Should set the cookie and redirect after logging in', async () => {
+        const { status, headers } = await request('POST', '/site-2/_login')
+          .type('form')
+          .send({ username: 'user-1', password: 'password-1', redirect: '/site-2/page-1' });
+        expect(status).to.equal(303);
+        expect(headers.location).to.equal('/site-2/page-1');
+        const cookie = headers['set-cookie'][0].split(';')[0];
+        expect(headers['set-cookie'][0]).to.include('HttpOnly');
+        const { status: s2, text } = await request('GET', '/site-2/static/styles.css').set('Cookie', cookie);
+        expect(s2).to.equal(200);
+        expect(text).to.equal('#site-2 {}');
+      });
+
+      it('1.22.2.5. Should not redirect to another host after logging in', async () => {
+        const { headers } = await request('POST', '/site-2/_login')
+          .type('form')
+          .send({ username: 'user-1', password: 'password-1', redirect: '//evil.net' });
+        expect(headers.location).to.equal('/site-2/');
+      });
+
+      it('1.22.2.6. Should return the login page with a tampered cookie', async () => {
+        const { status } = await request('GET', '/site-2/page-1')
+          .set('Cookie', 'site-access=user-1%7C9999999999999.tampered');
+        expect(status).to.equal(401);
+      });
+
+    });
+
+  });
+
+  describe('1.23. When "redirects" are given', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public' ]);
+    writeFileSync(join(sitesDir, 'site-1', 'public', 'index.html'), '<title>site-1</title>');
+    writeFileSync(join(sitesDir, 'site-1', 'redirects.json'), JSON.stringify([
+      { from: '/file-rule', to: '/page-1', status: 308 }
+    ]));
+
+    const app = express();
+    new SiteLoader({
+      domain: 'site-1',
+      sitesDir,
+      isMultiSite: true,
+      endpoints: [{ path: 'GET /test-2', handler: ({ req, res }) => res.send(`Success 2 ${req.originalUrl}`) }],
+      redirects: [
+        { from: '/old-blog/:slug', to: '/blog/:slug' },
+        { from: '/docs/*', to: '/guides/*', status: 302 },
+        { from: '/shop', to: 'https://shop.example.com/', preserveQuery: false },
+        { from: '/latest', to: '/test-2', rewrite: true }
+      ]
+    }).load(app);
+    startServer({ app, port: 8109 });
+
+    const get = (url, host) => {
+      const req = superagent.get(url).redirects(0).ok(() => true);
+      return host ? req.set('Host', host) : req;
+    };
+
+    describe('1.23.1. When the rule is a redirect', () => {
+
+      it('1.23.1.1. Should redirect with the parameters and the query at http://{domain}', async () => {
+        const { status, headers } = await get('http://site-1:8109/old-blog/post-1?a=1');
+        expect(status).to.equal(301);
+        expect(headers.location).to.equal('/blog/post-1?a=1');
+      });
+
+      it('1.23.1.2. Should redirect with the domain prefix at http://localhost/{domain}', async () => {
+        const { status, headers } = await get('http://localhost:8109/site-1/old-blog/post-1?a=1');
+        expect(status).to.equal(301);
+        expect(headers.location).to.equal('/site-1/blog/post-1?a=1');
+      });
+
+      it('1.23.1.3. Should substitute wildcards and use the given status', async () => {
+        const { status, headers } = await get('http://site-1:8109/docs/a/b');
+        expect(status).to.equal(302);
+        expect(headers.location).to.equal('/guides/a/b');
+      });
+
+      it('1.23.1.4. Should redirect to an absolute URL without the query when "preserveQuery" is false', async () => {
+        const { headers } = await get('http://localhost:8109/site-1/shop?a=1');
+        expect(headers.location).to.equal('https://shop.example.com/');
+      });
+
+      it('1.23.1.5. Should apply the rules in redirects.json', async () => {
+        const { status, headers } = await get('http://site-1:8109/file-rule');
+        expect(status).to.equal(308);
+        expect(headers.location).to.equal('/page-1');
+      });
+
+    });
+
+    describe('1.23.2. When the rule is a rewrite', () => {
+      it('1.23.2.1. Should serve the "to" path without changing the URL', async () => {
+        const { status, text } = await get('http://localhost:8109/site-1/latest');
+        expect(status).to.equal(200);
+        expect(text).to.equal('Success 2 /site-1/latest');
+      });
+    });
+
+    describe('1.23.3. When a rule is not valid', () => {
+      it('1.23.3.1. Should throw an error', () => {
+        expect(() => new SiteLoader({ domain: 'site-1', redirects: [{ from: '/a', to: '/b', status: 200 }] }))
+          .to.throw('Rules must have "from" and "to" paths');
+      });
+    });
+
+  });
+
+  describe('1.24. When "compression" is set', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public', 'site-2/public' ]);
+    const publicDir = join(sitesDir, 'site-1', 'public');
+    const html = `<title>site-1</title>${'<p>Paragraph</p>'.repeat(100)}`;
+    writeFileSync(join(publicDir, 'index.html'), html);
+    writeFileSync(join(publicDir, 'app.js'), 'console.log(1);'.repeat(100));
+    writeFileSync(join(publicDir, 'app.js.gz'), gzipSync('precompressed'));
+    writeFileSync(join(publicDir, 'app.css'), 'body { color: red; }'.repeat(100));
+    writeFileSync(join(publicDir, 'small.css'), 'body { color: red; }');
+
+    const app = express();
+    new SiteLoader({ domain: 'site-1', sitesDir, compression: true }).load(app);
+    new SiteLoader({ domain: 'site-2', sitesDir, isMultiSite: true }).load(app);
+    startServer({ app, port: 8110 });
+
+    const get = (url, encoding = 'gzip') => superagent.get(url).set('Accept-Encoding', encoding).buffer(true).ok(() => true);
+
+    describe('1.24.1. When a precompressed file exists', () => {
+      it('1.24.1.1. Should send the precompressed file with the original content type', async () => {
+        const { headers, text } = await get('http://localhost:8110/static/app.js');
+        expect(headers['content-encoding']).to.equal('gzip');
+        expect(headers['content-type']).to.contain('javascript');
+        expect(headers.vary).to.contain('Accept-Encoding');
+        expect(text).to.equal('precompressed');
+      });
+      it('1.24.1.2. Should send the original file when the client does not accept the encoding', async () => {
+        const { headers, text } = await get('http://localhost:8110/static/app.js', 'identity');
+        expect(headers['content-encoding']).to.be.undefined;
+        expect(text).to.equal('console.log(1);'.repeat(100));
+      });
+    });
+
+    describe('1.24.2. When a precompressed file does not exist', () => {
+      it('1.24.2.1. Should compress the file', async () => {
+        const { headers, text } = await get('http://localhost:8110/static/app.css');
+        expect(headers['content-encoding']).to.equal('gzip');
+        expect(headers.vary).to.contain('Accept-Encoding');
+        expect(text).to.equal('body { color: red; }'.repeat(100));
+      });
+      it('1.24.2.2. Should return a 304 when the compressed file has not changed', async () => {
+        const { headers } = await get('http://localhost:8110/static/app.css');
+        const { status } = await get('http://localhost:8110/static/app.css').set('If-None-Match', headers.etag);
+        expect(status).to.equal(304);
+      });
+      it('1.24.2.3. Should not compress files smaller than the threshold', async () => {
+        const { headers } = await get('http://localhost:8110/static/small.css');
+        expect(headers['content-encoding']).to.be.undefined;
+      });
+    });
+
+    describe('1.24.3. When index.html is requested', () => {
+      it('1.24.3.1. Should compress index.html with an ETag for the encoding', async () => {
+        const { headers, text } = await get('http://localhost:8110/page-1');
+        expect(headers['content-encoding']).to.equal('gzip');
+        expect(headers.etag).to.match(/-gzip"$/);
+        expect(text).to.equal(html);
+        const { status } = await get('http://localhost:8110/page-1').set('If-None-Match', headers.etag);
+        expect(status).to.equal(304);
+      });
+    });
+
+    describe('1.24.4. When "compression" is not set in development', () => {
+      it('1.24.4.1. Should not compress responses', async () => {
+        const { headers } = await get('http://localhost:8110/site-2/static/app.css');
+        expect(headers['content-encoding']).to.be.undefined;
+      });
+    });
+
+  });
+
+  describe('1.25. When "cache" is set', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/dist/fonts', 'site-2/public' ]);
+    [ join(sitesDir, 'site-1', 'dist'), join(sitesDir, 'site-2', 'public') ].forEach(dir => {
+      writeFileSync(join(dir, 'index.html'), '<title>Site</title>');
+      writeFileSync(join(dir, 'app.3f9a2c1b.js'), 'console.log(1);');
+    });
+    writeFileSync(join(sitesDir, 'site-1', 'dist', 'main.component.js'), 'console.log(2);');
+    writeFileSync(join(sitesDir, 'site-1', 'dist', 'fonts', 'font-1.woff2'), 'font');
+
+    const app = express();
+    new SiteLoader({
+      domain: 'site-1',
+      sitesDir,
+      isProd: true,
+      cache: { '/static/fonts/**': 'public, max-age=86400' }
+    }).load(app);
+    new SiteLoader({ domain: 'site-2', sitesDir, isMultiSite: true }).load(app);
+    startServer({ app, port: 8111 });
+
+    const cacheControl = async url => (await superagent.get(url).ok(() => true)).headers['cache-control'];
+
+    describe('1.25.1. When in production', () => {
+      it('1.25.1.1. Should cache fingerprinted files as immutable', async () => {
+        expect(await cacheControl('http://localhost:8111/static/app.3f9a2c1b.js'))
+          .to.equal('public, max-age=31536000, immutable');
+      });
+      it('1.25.1.2. Should cache other static files briefly with revalidation', async () => {
+        expect(await cacheControl('http://localhost:8111/static/main.component.js'))
+          .to.equal('public, max-age=300, must-revalidate');
+      });
+      it('1.25.1.3. Should not cache index.html without revalidation', async () => {
+        expect(await cacheControl('http://localhost:8111/page-1')).to.equal('no-cache');
+      });
+      it('1.25.1.4. Should apply the given policies before the defaults', async () => {
+        expect(await cacheControl('http://localhost:8111/static/fonts/font-1.woff2'))
+          .to.equal('public, max-age=86400');
+      });
+    });
+
+    describe('1.25.2. When in development', () => {
+      it('1.25.2.1. Should not cache static files or index.html', async () => {
+        expect(await cacheControl('http://localhost:8111/site-2/static/app.3f9a2c1b.js')).to.equal('no-store');
+        expect(await cacheControl('http://localhost:8111/site-2/page-1')).to.equal('no-store');
+      });
+    });
+
+    describe('1.25.3. When "cache" is not valid', () => {
+      it('1.25.3.1. Should throw an error', () => {
+        expect(() => new SiteLoader({ domain: 'site-1', cache: { '/static/**': 300 } }))
+          .to.throw('"cache" must be a boolean or an object');
+      });
+    });
+
+  });
+
+  describe('1.26. When "csp" is set', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public', 'site-2/public' ]);
+    [ 'site-1', 'site-2' ].forEach(domain => {
+      writeFileSync(
+        join(sitesDir, domain, 'public', 'index.html'),
+        '<head><style>body{}</style><script nonce="old">boot();</script></head><script src="/static/app.js"></script>'
+      );
+    });
+
+    const app = express();
+    new SiteLoader({
+      domain: 'site-1',
+      sitesDir,
+      isMultiSite: true,
+      csp: { directives: { 'default-src': "'self'", 'img-src': [ "'self'", 'data:' ] } },
+      endpoints: [{ path: 'GET /page-2', handler: ({ res }) => res.send(res.locals.cspNonce) }]
+    }).load(app);
+    new SiteLoader({ domain: 'site-2', sitesDir, isMultiSite: true, csp: { reportOnly: true } }).load(app);
+    startServer({ app, port: 8112 });
+
+    describe('1.26.1. When index.html is requested', () => {
+      it('1.26.1.1. Should set the header with a nonce and inject the nonce into every script and style element', async () => {
+        const { headers, text } = await superagent.get('http://localhost:8112/site-1/page-1');
+        const nonce = headers['content-security-policy'].match(/'nonce-([^']+)'/)[1];
+        expect(headers['content-security-policy']).to.equal([
+          "default-src 'self'",
+          "img-src 'self' data:",
+          `script-src 'self' 'nonce-${nonce}'`,
+          `style-src 'self' 'nonce-${nonce}'`
+        ].join('; '));
+        expect(text).to.equal([
+          `<head><style nonce="${nonce}">body{}</style><script nonce="${nonce}">boot();</script></head>`,
+          `<script nonce="${nonce}" src="/site-1/static/app.js"></script>`
+        ].join(''));
+      });
+      it('1.26.1.2. Should generate a new nonce for each request', async () => {
+        const { headers: headers1 } = await superagent.get('http://localhost:8112/site-1/page-1');
+        const { headers: headers2 } = await superagent.get('http://localhost:8112/site-1/page-1');
+        expect(headers1['content-security-policy']).not.to.equal(headers2['content-security-policy']);
+      });
+    });
+
+    describe('1.26.2. When an endpoint is requested', () => {
+      it('1.26.2.1. Should expose the nonce as "res.locals.cspNonce"', async () => {
+        const { headers, text } = await superagent.get('http://localhost:8112/site-1/page-2');
+        expect(headers['content-security-policy']).to.contain(`'nonce-${text}'`);
+      });
+    });
+
+    describe('1.26.3. When "reportOnly" is true', () => {
+      it('1.26.3.1. Should set the report-only header with the default directives', async () => {
+        const { headers } = await superagent.get('http://localhost:8112/site-2/page-1');
+        expect(headers['content-security-policy']).to.be.undefined;
+        expect(headers['content-security-policy-report-only']).to.match(/^default-src 'self'; base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-/);
+      });
+    });
+
+  });
+
+  describe('1.27. When "logger" is set', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public', 'site-2/public', 'site-3/public' ]);
+    [ 'site-1', 'site-2', 'site-3' ].forEach(domain => {
+      writeFileSync(join(sitesDir, domain, 'public', 'index.html'), `<title>${domain}</title>`);
+    });
+    writeFileSync(join(sitesDir, 'site-1', 'public', 'app.js'), 'console.log(1);');
+
+    const records = [];
+    const lines = [];
+    const app = express();
+    new SiteLoader({
+      domain: 'site-1',
+      sitesDir,
+      isMultiSite: true,
+      endpoints: [{ path: 'GET /api/test-1', handler: ({ res }) => res.json({ a: 1 }) }],
+      logger: {
+        output: record => records.push(record),
+        redactHeaders: [ 'x-api-key' ],
+        redactQuery: [ 'token' ]
+      }
+    }).load(app);
+    new SiteLoader({
+      domain: 'site-2',
+      sitesDir,
+      isMultiSite: true,
+      logger: { write: line => lines.push(line) }
+    }).load(app);
+    new SiteLoader({ domain: 'site-3', sitesDir, isMultiSite: true, logger: { sampleRate: 0 } }).load(app);
+    startServer({ app, port: 8113 });
+
+    const get = async (url, headers = {}) => {
+      await superagent.get(url).set(headers).ok(() => true);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return records.at(-1);
+    };
+
+    describe('1.27.1. When a request is handled', () => {
+
+      it('1.27.1.1. Should log the domain, stage, method, path, status, bytes, and duration', async () => {
+        const record = await get('http://localhost:8113/site-1/static/app.js');
+        expect(record).to.include({
+          domain: 'site-1',
+          stage: 'static',
+          method: 'GET',
+          path: '/site-1/static/app.js',
+          status: 200,
+          bytes: 15
+        });
+        expect(record.duration).to.be.a('number');
+        expect(new Date(record.time).getTime()).to.be.closeTo(Date.now(), 1000);
+      });
+
+      it('1.27.1.2. Should log the stage that responded', async () => {
+        expect((await get('http://localhost:8113/site-1/api/test-1')).stage).to.equal('endpoint');
+        expect((await get('http://localhost:8113/site-1/page-1')).stage).to.equal('catchAll');
+        expect((await get('http://localhost:8113/site-1/robots.txt')).stage).to.equal('commonResource');
+        expect((await get('http://localhost:8113/site-1/static/none.js')).stage).to.equal('404');
+        expect((await get('http://localhost:8113/site-1/api/none')).status).to.equal(404);
+      });
+
+      it('1.27.1.3. Should redact the configured headers and query params', async () => {
+        const record = await get('http://localhost:8113/site-1/page-1?token=abc&page=2', {
+          'X-Api-Key': 'key-1',
+          Authorization: 'Basic abc'
+        });
+        expect(record.path).to.equal('/site-1/page-1?token=[REDACTED]&page=2');
+        expect(record.headers['x-api-key']).to.equal('[REDACTED]');
+        expect(record.headers.authorization).to.equal('[REDACTED]');
+      });
+
+    });
+
+    describe('1.27.2. When the output is a stream', () => {
+      it('1.27.2.1. Should write one line of JSON for each request', async () => {
+        await get('http://localhost:8113/site-2/page-1');
+        expect(lines).to.have.length(1);
+        expect(lines[0].endsWith('\n')).to.be.true;
+        expect(JSON.parse(lines[0])).to.include({ domain: 'site-2', stage: 'catchAll' });
+      });
+    });
+
+    describe('1.27.3. When "sampleRate" is 0', () => {
+      it('1.27.3.1. Should not log the request', async () => {
+        const count = records.length + lines.length;
+        await get('http://localhost:8113/site-3/page-1');
+        expect(records.length + lines.length).to.equal(count);
+      });
+    });
+
+  });
+
+  describe('1.28. When metrics are requested', () => {
+
+    const sitesDir = createSitesDir([ 'metrics-1/public', 'metrics-2/public' ]);
+    [ 'metrics-1', 'metrics-2' ].forEach(domain => {
+      writeFileSync(join(sitesDir, domain, 'public', 'index.html'), `<title>${domain}</title>`);
+    });
+
+    const app = express();
+    app.get('/metrics', SiteLoader.metricsHandler());
+    new SiteLoader({
+      domain: 'metrics-1',
+      sitesDir,
+      isMultiSite: true,
+      endpoints: [{ path: 'GET /api/users/:id', handler: ({ res }) => res.json({}) }]
+    }).load(app);
+    new SiteLoader({ domain: 'metrics-2', sitesDir, isMultiSite: true, metrics: false }).load(app);
+    startServer({ app, port: 8114 });
+
+    let text;
+    before(async () => {
+      for (const path of [ 'metrics-1/api/users/1', 'metrics-1/api/users/2', 'metrics-1/page-1', 'metrics-1/static/none.js', 'metrics-2/page-1' ]) {
+        await superagent.get(`http://localhost:8114/${path}`).ok(() => true);
+      }
+      ({ text } = await superagent.get('http://localhost:8114/metrics').buffer(true));
+    });
+
+    it('1.28.1. Should count requests by domain, stage, status class, and declared endpoint path', () => {
+      expect(text).to.contain('# TYPE site_loader_requests_total counter');
+      expect(text).to.contain('site_loader_requests_total{domain="metrics-1",stage="endpoint",status_class="2xx",route="GET /api/users/:id"} 2');
+      expect(text).to.contain('site_loader_requests_total{domain="metrics-1",stage="catchAll",status_class="2xx",route=""} 1');
+      expect(text).to.contain('site_loader_requests_total{domain="metrics-1",stage="404",status_class="4xx",route=""} 1');
+    });
+
+    it('1.28.2. Should record a latency histogram', () => {
+      expect(text).to.contain('# TYPE site_loader_request_duration_seconds histogram');
+      expect(text).to.contain('site_loader_request_duration_seconds_bucket{domain="metrics-1",stage="endpoint",status_class="2xx",route="GET /api/users/:id",le="+Inf"} 2');
+      expect(text).to.contain('site_loader_request_duration_seconds_count{domain="metrics-1",stage="endpoint",status_class="2xx",route="GET /api/users/:id"} 2');
+    });
+
+    it('1.28.3. Should not record requests to sites with "metrics" set to false', () => {
+      expect(text).not.to.contain('domain="metrics-2"');
+    });
+
+  });
+
+  describe('1.29. When sites are described', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public', 'site-2/public' ]);
+    writeFileSync(join(sitesDir, 'site-1', 'public', 'index.html'), '<title>site-1</title>');
+    writeFileSync(join(sitesDir, 'site-1', 'public', 'app.js'), 'console.log(1);');
+
+    const app = express();
+    app.get('/_sites', SiteLoader.sitesHandler({ token: 'token-1' }));
+    const siteLoader = new SiteLoader({
+      domain: 'site-1',
+      aliases: [ 'www.site-1' ],
+      sitesDir,
+      isMultiSite: true,
+      endpoints: [
+        { path: 'GET /api/users/:id', handler: ({ res }) => res.json({}), isSecure: true },
+        { path: 'POST /form', handler: ({ res }) => res.send() }
+      ],
+      middleware: [{ handler: (req, res, next) => next() }, { path: 'GET /form', handler: (req, res, next) => next() }],
+      redirects: [{ from: '/old', to: '/new' }, { from: '/app/*', to: '/app/index', rewrite: true }]
+    });
+    siteLoader.load(app);
+    new SiteLoader({ domain: 'site-2', sitesDir, isMultiSite: true }).load(app);
+    startServer({ app, port: 8115 });
+
+    describe('1.29.1. When "describe" is called', () => {
+      it('1.29.1.1. Should return the site\'s configuration', () => {
+        const description = siteLoader.describe();
+        expect(description).to.deep.include({
+          domain: 'site-1',
+          aliases: [ 'www.site-1' ],
+          isLoaded: true,
+          mode: 'development',
+          basePath: '/site-1/',
+          publicDir: join(process.cwd(), sitesDir, 'site-1', 'public'),
+          publicDirExists: true,
+          apiBasePath: '/api',
+          endpoints: [
+            { method: 'GET', path: '/api/users/:id', isSecure: true },
+            { method: 'POST', path: '/form', isSecure: false }
+          ],
+          middleware: [{ path: null }, { path: 'GET /form' }]
+        });
+        expect(description.rootResources).to.deep.include({ name: 'robots.txt', exists: false, isGenerated: true });
+      });
+    });
+
+    describe('1.29.2. When "SiteLoader.match" is called', () => {
+
+      const match = (path, method, host = 'localhost') => SiteLoader.match(app, { host, path, method });
+
+      it('1.29.2.1. Should explain which site and stage would handle the request', () => {
+        expect(match('/site-1/static/app.js')).to.include({
+          domain: 'site-1',
+          matchedBy: 'pathPrefix',
+          stage: 'static',
+          status: 200
+        });
+        expect(match('/site-1/api/users/1')).to.include({ stage: 'endpoint', route: 'GET /api/users/:id' });
+        expect(match('/site-1/page-1')).to.include({ stage: 'catchAll', status: 200 });
+        expect(match('/page-1', 'GET', 'www.site-1:8115')).to.include({ domain: 'site-1', matchedBy: 'hostname' });
+      });
+
+      it('1.29.2.2. Should explain why a request is not handled as expected', () => {
+        expect(match('/site-1/form')).to.deep.include({
+          stage: 'catchAll',
+          status: 200,
+          middleware: [ '*', 'GET /form' ]
+        });
+        expect(match('/site-1/api/none')).to.include({ stage: '404', status: 404 });
+        expect(match('/site-1/static/none.js')).to.include({ stage: '404', status: 404 });
+        expect(match('/site-1/old?a=1')).to.include({ stage: 'redirect', status: 301, location: '/site-1/new?a=1' });
+        expect(match('/none')).to.include({ domain: null, status: 404 });
+      });
+
+      it('1.29.2.3. Should apply a rewrite rule once, as the router does', async () => {
+        expect(match('/site-1/app/page-1')).to.include({
+          stage: 'catchAll',
+          status: 200,
+          rewrittenFrom: '/site-1/app/page-1'
+        });
+        const { status } = await superagent.get('http://localhost:8115/site-1/app/page-1');
+        expect(status).to.equal(200);
+      });
+
+    });
+
+    describe('1.29.3. When the sites route is requested', () => {
+
+      it('1.29.3.1. Should return a 403 without the token', async () => {
+        const { status } = await superagent.get('http://localhost:8115/_sites').ok(() => true);
+        expect(status).to.equal(403);
+      });
+
+      it('1.29.3.2. Should describe every site and explain the given request', async () => {
+        const { body } = await superagent
+          .get('http://localhost:8115/_sites')
+          .query({ path: '/site-2/page-1' })
+          .set('Authorization', 'Bearer token-1');
+        expect(body.sites.map(({ domain }) => domain)).to.deep.equal([ 'site-1', 'site-2' ]);
+        expect(body.match).to.include({ domain: 'site-2', stage: '404' });
+      });
+
+      it('1.29.3.3. Should throw an error without "token" or "authorize"', () => {
+        expect(() => SiteLoader.sitesHandler()).to.throw('"token" or "authorize" is required.');
+      });
+
+    });
+
+  });
+
+  describe('1.30. When the options are validated', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public', 'site-2/public' ]);
+    const handler = ({ res }) => res.send();
+
+    describe('1.30.1. When the options are not valid', () => {
+      it('1.30.1.1. Should throw one error listing every problem', () => {
+        try {
+          new SiteLoader({
+            domain: 'site-1',
+            isProd: 'true',
+            endpoints: [
+              { path: 'GTE /api/test-1', handler },
+              { path: 'GET /api/test-2', handler: 'handler' }
+            ],
+            middleware: [{ path: 'GET/test-3', handler }]
+          });
+          expect.fail('Expected an error');
+        } catch(error) {
+          expect(error.errors).to.deep.equal([
+            '"isProd" must be a boolean.',
+            'Endpoint "GTE /api/test-1" method "GTE" is not an HTTP method (e.g., GET, POST, PUT, PATCH, DELETE, or ALL).',
+            'Endpoint "GET /api/test-2" "handler" must be a function or a RequestHandler class.',
+            'Middleware path "GET/test-3" is not valid. Middleware paths must have a method, a space, and a path. For example, "POST /path-1" and "GET /api/path-1" are valid paths.'
+          ]);
+          expect(error.message).to.match(/^4 options of "site-1" are not valid:\n  - "isProd" must be a boolean\./);
+        }
+      });
+    });
+
+    describe('1.30.2. When sites on the same app conflict', () => {
+
+      const load = options => {
+        const app = express();
+        new SiteLoader({
+          domain: 'site-1',
+          aliases: [ '*.example.com' ],
+          sitesDir,
+          isMultiSite: true,
+          endpoints: [{ path: 'GET /api/test-1', handler }]
+        }).load(app);
+        new SiteLoader({ sitesDir, isMultiSite: true, ...options }).load(app);
+      };
+
+      it('1.30.2.1. Should throw an error when "strict" is true', () => {
+        expect(() => load({
+          domain: 'site-1',
+          aliases: [ 'www.example.com' ],
+          endpoints: [{ path: 'GET api/test-1', handler }, { path: 'GET /api/test-1', handler }],
+          typo: true,
+          strict: true
+        })).to.throw([
+          '"site-1" cannot be loaded:',
+          '  - Unknown option "typo".',
+          '  - Endpoint "GET /api/test-1" is defined more than once. Only the first is used.',
+          '  - "site-1" is already loaded onto the app. Requests are matched to the first site loaded.',
+          '  - Endpoint "GET /api/test-1" is also defined by "site-1".'
+        ].join('\n'));
+        expect(() => load({ domain: 'site-2', aliases: [ 'www.example.com' ], strict: true }))
+          .to.throw('Hostname "www.example.com" overlaps "*.example.com" of "site-1".');
+      });
+
+      it('1.30.2.2. Should warn when "strict" is false', () => {
+        const { warn } = console;
+        const warnings = [];
+        console.warn = message => warnings.push(message);
+        try {
+          load({ domain: 'site-2', aliases: [ 'a.example.com' ] });
+        } finally {
+          console.warn = warn;
+        }
+        expect(warnings).to.deep.equal([
+          'SiteLoader "site-2": Hostname "a.example.com" overlaps "*.example.com" of "site-1". Requests are matched to the first site loaded.'
+        ]);
+      });
+
+    });
+
+    describe('1.30.3. When the public directory does not exist', () => {
+      it('1.30.3.1. Should throw an error when "strict" is true', () => {
+        expect(() => new SiteLoader({ domain: 'site-3', sitesDir, strict: true }).load(express()))
+          .to.throw(`The public directory "${join(process.cwd(), sitesDir, 'site-3', 'public')}" does not exist.`);
+      });
+    });
+
+  });
+
+  describe('1.31. When sites have TLS certificates', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public', 'site-2/public' ]);
+    const createCertificate = (dir, commonName, days, cert = 'fullchain.pem', key = 'privkey.pem') => {
+      mkdirSync(dir, { recursive: true });
+      execFileSync('openssl', [
+        'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', `${days}`,
+        '-subj', `/CN=${commonName}`, '-addext', `subjectAltName=DNS:${commonName}`,
+        '-keyout', join(dir, key), '-out', join(dir, cert)
+      ], { stdio: 'ignore' });
+    };
+    createCertificate(join(sitesDir, 'site-1', 'certs'), 'site-1', 365);
+    createCertificate(join(sitesDir, 'site-2', 'tls'), 'site-2', 10, 'cert.pem', 'key.pem');
+
+    const warnings = [];
+    const { warn } = console;
+    console.warn = message => warnings.push(message);
+    const app = express();
+    const siteLoaders = [
+      new SiteLoader({ domain: 'site-1', aliases: [ '*.site-1' ], sitesDir, isMultiSite: true }),
+      new SiteLoader({
+        domain: 'site-2',
+        sitesDir,
+        isMultiSite: true,
+        tls: { cert: 'tls/cert.pem', key: 'tls/key.pem' }
+      })
+    ];
+    siteLoaders.forEach(siteLoader => siteLoader.load(app));
+    console.warn = warn;
+    const server = createServer({ SNICallback: SiteLoader.createSNICallback(app) }, app).listen(8116);
+
+    const commonName = servername => new Promise((resolve, reject) => {
+      const socket = connect({ port: 8116, servername, rejectUnauthorized: false }, () => {
+        resolve(socket.getPeerCertificate().subject.CN);
+        socket.end();
+      });
+      socket.on('error', reject);
+    });
+
+    it('1.31.1. Should select the certificate of the site matching the server name', async () => {
+      expect(await commonName('site-1')).to.equal('site-1');
+      expect(await commonName('www.site-1')).to.equal('site-1');
+      expect(await commonName('site-2')).to.equal('site-2');
+    });
+
+    it('1.31.2. Should warn about certificates expiring soon', () => {
+      expect(warnings).to.have.length(1);
+      expect(warnings[0]).to.match(/^SiteLoader "site-2": The TLS certificate ".+cert\.pem" expires in 9 days/);
+    });
+
+    it('1.31.3. Should reload the certificate when the files change', async () => {
+      createCertificate(join(sitesDir, 'site-1', 'certs'), 'site-1-renewed', 365);
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      const renewalWarnings = [];
+      console.warn = message => renewalWarnings.push(message);
+      try {
+        expect(await commonName('site-1')).to.equal('site-1-renewed');
+      } finally {
+        console.warn = warn;
+      }
+      expect(renewalWarnings).to.have.length(1);
+      expect(renewalWarnings[0]).to.match(/^SiteLoader "site-1": The TLS certificate ".+fullchain\.pem" does not cover "site-1"/);
+    });
+
+    it('1.31.4. Should select certificates from an array of SiteLoader instances', done => {
+      SiteLoader.createSNICallback(siteLoaders)('site-2', (error, context) => {
+        expect(context).to.exist;
+        SiteLoader.createSNICallback(siteLoaders)('site-3', (error, context) => {
+          expect(context).to.be.undefined;
+          done();
+        });
+      });
+    });
+
+    after(() => server.close());
+
+  });
+
+  describe('1.32. When ACME challenges are set', () => {
+
+    const sitesDir = createSitesDir([ 'site-1/public/.well-known/acme-challenge', 'site-2/public/.well-known/acme-challenge' ]);
+    writeFileSync(join(sitesDir, 'site-1', 'public', '.well-known', 'acme-challenge', 'file-token'), 'file-key');
+
+    const entries = new Map();
+    const acmeStore = {
+      get: async key => entries.get(key),
+      set: async (key, value) => entries.set(key, value),
+      delete: async key => entries.delete(key)
+    };
+    const app = express();
+    const siteLoader1 = new SiteLoader({
+      domain: 'site-1',
+      sitesDir,
+      isMultiSite: true,
+      acmeStore,
+      access: { users: { 'user-1': 'password-1' } },
+      canonicalHost: 'www.site-1',
+      aliases: [ 'www.site-1' ]
+    });
+    const siteLoader2 = new SiteLoader({ domain: 'site-2', sitesDir, isMultiSite: true, acmeStore });
+    siteLoader1.load(app);
+    siteLoader2.load(app);
+    siteLoader1.setMaintenance();
+    startServer({ app, port: 8117 });
+
+    // Requests the challenge as an ACME server validating HTTP-01 would.
+    const validate = (domain, token) => superagent
+      .get(`http://localhost:8117/.well-known/acme-challenge/${token}`)
+      .set('Host', domain)
+      .redirects(0)
+      .ok(() => true);
+
+    it('1.32.1. Should answer the challenge before any other handler', async () => {
+      await siteLoader1.acme.set('token-1', 'token-1.key-1');
+      const { status, headers, text } = await validate('site-1', 'token-1');
+      expect(status).to.equal(200);
+      expect(headers['content-type']).to.contain('text/plain');
+      expect(text).to.equal('token-1.key-1');
+      expect(entries.get('site-1/token-1')).to.equal('token-1.key-1');
+    });
+
+    it('1.32.2. Should answer only for the matching domain', async () => {
+      expect((await validate('site-2', 'token-1')).status).to.equal(404);
+    });
+
+    it('1.32.3. Should fall back to the .well-known files when no challenge is pending', async () => {
+      const { text } = await validate('www.site-1', 'file-token');
+      expect(text).to.equal('file-key');
+    });
+
+    it('1.32.4. Should stop answering the challenge when it is removed', async () => {
+      await siteLoader2.acme.set('token-2', 'token-2.key-2');
+      expect((await validate('site-2', 'token-2')).text).to.equal('token-2.key-2');
+      await siteLoader2.acme.remove('token-2');
+      expect((await validate('site-2', 'token-2')).status).to.equal(404);
+    });
+
+    it('1.32.5. Should reject tokens that are not base64url', async () => {
+      try {
+        await siteLoader2.acme.set('../token', 'key');
+        expect.fail('Expected an error');
+      } catch(error) {
+        expect(error.message).to.equal('ACME challenge token "../token" must be base64url.');
+      }
+    });
+
+  });
+
+  describe('1.33. When "cors" is set', () => {
+
+    const app = express();
+    new SiteLoader({
+      domain: 'site-1',
+      isMultiSite: true,
+      cors: {
+        origins: [ 'https://app.example.com', 'https://*.partner.com' ],
+        headers: [ 'Content-Type', 'Authorization' ],
+        exposedHeaders: [ 'X-Total-Count' ],
+        maxAge: 3600
+      },
+      endpoints: [
+        { path: 'GET /api/items', handler: ({ res }) => res.set('X-Total-Count', '1').json([]) },
+        { path: 'POST /api/items', handler: ({ res }) => res.status(201).json({}) },
+        { path: 'GET /api/account', handler: ({ res }) => res.json({}), cors: { credentials: true, origins: 'https://app.example.com' } },
+        { path: 'GET /api/internal', handler: ({ res }) => res.json({}), cors: false },
+        { path: 'GET /api/limited', handler: ({ res }) => res.json({}), rateLimit: { max: 0 } }
+      ]
+    }).load(app);
+    new SiteLoader({
+      domain: 'site-2',
+      isMultiSite: true,
+      endpoints: [
+        { path: 'GET /api/items', handler: ({ res }) => res.json([]) },
+        { path: 'GET /api/public', handler: ({ res }) => res.json([]), cors: true }
+      ]
+    }).load(app);
+    new SiteLoader({
+      domain: 'site-3',
+      sitesDir: createSitesDir([ 'site-3/public' ]),
+      isMultiSite: true,
+      cors: { origins: 'https://app.example.com' },
+      access: { users: { 'user-1': 'password-1' } },
+      middleware: [{ handler: (req, res, next) => req.method == 'OPTIONS' ? res.status(403).send() : next() }],
+      endpoints: [{ path: 'GET /api/items', handler: ({ res }) => res.json([]) }]
+    }).load(app);
+    startServer({ app, port: 8118 });
+
+    const request = (method, domain, path, origin, headers = {}) => superagent(method, `http://localhost:8118/${domain}${path}`)
+      .set(origin ? { Origin: origin, ...headers } : headers)
+      .ok(() => true);
+
+    it('1.33.1. Should set the CORS headers for allowed origins', async () => {
+      const { status, headers } = await request('GET', 'site-1', '/api/items', 'https://app.example.com');
+      expect(status).to.equal(200);
+      expect(headers['access-control-allow-origin']).to.equal('https://app.example.com');
+      expect(headers['access-control-expose-headers']).to.equal('X-Total-Count');
+      expect(headers['vary']).to.contain('Origin');
+    });
+
+    it('1.33.2. Should match origin patterns and leave out the headers for other origins', async () => {
+      const partner = await request('GET', 'site-1', '/api/items', 'https://eu.partner.com');
+      expect(partner.headers['access-control-allow-origin']).to.equal('https://eu.partner.com');
+      const other = await request('GET', 'site-1', '/api/items', 'https://evil.com');
+      expect(other.status).to.equal(200);
+      expect(other.headers['access-control-allow-origin']).to.be.undefined;
+    });
+
+    it('1.33.3. Should answer preflight requests with the declared methods', async () => {
+      const { status, headers } = await request('OPTIONS', 'site-1', '/api/items', 'https://app.example.com', {
+        'Access-Control-Request-Method': 'POST',
+        'Access-Control-Request-Headers': 'content-type'
+      });
+      expect(status).to.equal(204);
+      expect(headers['access-control-allow-methods']).to.equal('GET, HEAD, POST');
+      expect(headers['access-control-allow-headers']).to.equal('Content-Type, Authorization');
+      expect(headers['access-control-max-age']).to.equal('3600');
+    });
+
+    it('1.33.4. Should merge an endpoint\'s "cors" into the site\'s', async () => {
+      const { headers } = await request('GET', 'site-1', '/api/account', 'https://app.example.com');
+      expect(headers['access-control-allow-origin']).to.equal('https://app.example.com');
+      expect(headers['access-control-allow-credentials']).to.equal('true');
+      const partner = await request('GET', 'site-1', '/api/account', 'https://eu.partner.com');
+      expect(partner.headers['access-control-allow-origin']).to.be.undefined;
+    });
+
+    it('1.33.5. Should turn CORS off for an endpoint with "cors" false', async () => {
+      const { headers } = await request('GET', 'site-1', '/api/internal', 'https://app.example.com');
+      expect(headers['access-control-allow-origin']).to.be.undefined;
+    });
+
+    it('1.33.6. Should apply CORS only to the sites and endpoints it is set on', async () => {
+      const items = await request('GET', 'site-2', '/api/items', 'https://app.example.com');
+      expect(items.headers['access-control-allow-origin']).to.be.undefined;
+      const { headers } = await request('GET', 'site-2', '/api/public', 'https://app.example.com');
+      expect(headers['access-control-allow-origin']).to.equal('*');
+      expect(headers['vary'] || '').not.to.contain('Origin');
+    });
+
+    it('1.33.7. Should set the CORS headers on error responses', async () => {
+      const limited = await request('GET', 'site-1', '/api/limited', 'https://app.example.com');
+      expect(limited.status).to.equal(429);
+      expect(limited.headers['access-control-allow-origin']).to.equal('https://app.example.com');
+      const notAllowed = await request('DELETE', 'site-1', '/api/items', 'https://app.example.com');
+      expect(notAllowed.status).to.equal(405);
+      expect(notAllowed.headers['access-control-allow-origin']).to.equal('https://app.example.com');
+      const notFound = await request('GET', 'site-1', '/api/none', 'https://app.example.com');
+      expect(notFound.status).to.equal(404);
+      expect(notFound.headers['access-control-allow-origin']).to.equal('https://app.example.com');
+      const unauthorized = await request('GET', 'site-3', '/api/items', 'https://app.example.com');
+      expect(unauthorized.status).to.equal(401);
+      expect(unauthorized.headers['access-control-allow-origin']).to.equal('https://app.example.com');
+    });
+
+    it('1.33.8. Should answer preflights before "access" and the site\'s middleware', async () => {
+      const { status, headers } = await request('OPTIONS', 'site-3', '/api/items', 'https://app.example.com', {
+        'Access-Control-Request-Method': 'GET'
+      });
+      expect(status).to.equal(204);
+      expect(headers['access-control-allow-methods']).to.equal('GET, HEAD');
+    });
+
+  });
+
+  describe('1.34. When "rateLimit" is set', () => {
+
+    const app = express();
+    const keyBy = req => req.get('x-client') || null;
+    const store = new Map();
+    const rateLimitStore = {
+      increment: async (key, windowMs) => {
+        const window = store.get(key) || { count: 0, resetTime: Date.now() + windowMs };
+        window.count++;
+        store.set(key, window);
+        return window;
+      }
+    };
+    new SiteLoader({
+      domain: 'site-1',
+      isMultiSite: true,
+      rateLimit: { windowMs: 60000, max: 2, keyBy },
+      rateLimitStore,
+      endpoints: [
+        { path: 'GET /api/items', handler: ({ res }) => res.json([]) },
+        { path: 'POST /api/login', handler: ({ res }) => res.json({}), rateLimit: { max: 1 } },
+        { path: 'GET /api/health', handler: ({ res }) => res.send('OK'), rateLimit: false }
+      ]
+    }).load(app);
+    new SiteLoader({
+      domain: 'site-2',
+      isMultiSite: true,
+      rateLimit: { windowMs: 60000, max: 2, keyBy },
+      rateLimitStore,
+      endpoints: [{ path: 'GET /api/items', handler: ({ res }) => res.json([]) }]
+    }).load(app);
+    startServer({ app, port: 8119 });
+
+    const request = (method, domain, path, client) => superagent(method, `http://localhost:8119/${domain}${path}`)
+      .set(client ? { 'X-Client': client } : {})
+      .ok(() => true);
+
+    it('1.34.1. Should set the "RateLimit-*" headers while under the limit', async () => {
+      const { status, headers } = await request('GET', 'site-1', '/api/items', 'client-1');
+      expect(status).to.equal(200);
+      expect(headers['ratelimit-limit']).to.equal('2');
+      expect(headers['ratelimit-remaining']).to.equal('1');
+      expect(headers['ratelimit-policy']).to.equal('2;w=60');
+      expect(Number(headers['ratelimit-reset'])).to.be.within(1, 60);
+    });
+
+    it('1.34.2. Should return a 429 with "Retry-After" once the limit is exceeded', async () => {
+      await request('GET', 'site-1', '/api/items', 'client-1');
+      const { status, headers, body } = await request('GET', 'site-1', '/api/items', 'client-1');
+      expect(status).to.equal(429);
+      expect(Number(headers['retry-after'])).to.be.within(1, 60);
+      expect(headers['ratelimit-remaining']).to.equal('0');
+      expect(body).to.deep.equal({ error: { status: 429, message: 'Too Many Requests' } });
+      expect((await request('GET', 'site-1', '/api/items', 'client-2')).status).to.equal(200);
+    });
+
+    it('1.34.3. Should scope the limits by domain', async () => {
+      expect((await request('GET', 'site-2', '/api/items', 'client-1')).status).to.equal(200);
+      expect(store.has('site-1/client-1')).to.be.true;
+      expect(store.has('site-2/client-1')).to.be.true;
+    });
+
+    it('1.34.4. Should count an endpoint with its own "rateLimit" separately', async () => {
+      expect((await request('POST', 'site-1', '/api/login', 'client-1')).status).to.equal(200);
+      const { status, headers } = await request('POST', 'site-1', '/api/login', 'client-1');
+      expect(status).to.equal(429);
+      expect(headers['ratelimit-limit']).to.equal('1');
+      expect(store.get('site-1/POST /api/login/client-1').count).to.equal(2);
+    });
+
+    it('1.34.5. Should not limit endpoints with "rateLimit" false or requests without a key', async () => {
+      const health = await request('GET', 'site-1', '/api/health', 'client-1');
+      expect(health.status).to.equal(200);
+      expect(health.headers['ratelimit-limit']).to.be.undefined;
+      expect((await request('GET', 'site-1', '/api/items')).status).to.equal(200);
+    });
+
+    it('1.34.6. Should count in fixed windows in the default store', async () => {
+      const memoryStore = new RateLimitStore();
+      expect(memoryStore.increment('site-1/a', 50).count).to.equal(1);
+      expect(memoryStore.increment('site-1/a', 50).count).to.equal(2);
+      await new Promise(resolve => setTimeout(resolve, 60));
+      expect(memoryStore.increment('site-1/a', 50).count).to.equal(1);
+    });
+
+  });
+
   after(async () => {
     await stopAllServers();
     setTimeout(() => process.exit(), 100);
@@ -0,0 +1,3 @@
+export default ({ res, data }) => {
+  res.send({ site: 'site-1', data });
+};
@@ -0,0 +1,11 @@
+export default {
+  data: { prop1: 'val2' },
+  endpoints: [
+    {
+      path: 'GET /api/config-1',
+      handler: ({ res, data }) => {
+        res.send({ site: 'site-2', data });
+      }
+    }
+  ]
+};